@@ -14,6 +14,12 @@
  * + Request Fingerprinting
  */
 
+import { syncRuleIds, allocateRuleIds, releaseRuleIds, purposeOfRuleId, getRuleIds, getRuleIdUsage } from '../js/rule_id_allocator.js';
+// Dieselbe Filter-Grammatik wie im Precompiler - die Datei ist auch für Node gedacht und exportiert deshalb über globalThis
+import '../js/filter_grammar.js';
+
+const { COSMETIC_SEPARATOR, parseNetworkFilter, buildRule } = globalThis.FilterGrammar;
+
 // ML Data Processing System
 const MLDataProcessor = {
     trainingData: [],
@@ -566,18 +572,31 @@ const MLDataProcessor = {
 // Initialize ML systems
 MLDataProcessor.init();
 
+// Alle Kategorie-Rulesets aus dem Manifest (werden vom Precompiler eingetragen)
+function alleRulesetIds() {
+    return chrome.runtime.getManifest().declarative_net_request.rule_resources.map(ruleset => ruleset.id);
+}
+
 // Schaltet die komplette Filterregeln an/aus (globaler Toggle)
+// Vom User abgeschaltete Kategorien bleiben auch beim Einschalten aus
+// Eigene Regeln sind dynamische Regeln - die hängen nicht an den Rulesets und werden extra mitgeschaltet
 async function toggleRuleset(istAktiviert) {
     try {
+        const result = await chrome.storage.local.get(['disabledCategories']);
+        const deaktivierteKategorien = result.disabledCategories || [];
+        const rulesetIds = alleRulesetIds();
+        
         await chrome.declarativeNetRequest.updateEnabledRulesets({
-            enableRulesetIds: istAktiviert ? ['ruleset_1'] : [],
-            disableRulesetIds: istAktiviert ? [] : ['ruleset_1']
+            enableRulesetIds: istAktiviert ? rulesetIds.filter(id => !deaktivierteKategorien.includes(id)) : [],
+            disableRulesetIds: istAktiviert ? rulesetIds.filter(id => deaktivierteKategorien.includes(id)) : rulesetIds
         });
         
-        chrome.storage.local.set({ 
+        // Vor dem Abgleich speichern - eigeneRegelnInstallieren liest isEnabled
+        await chrome.storage.local.set({ 
             isEnabled: istAktiviert,
             lastUpdate: Date.now()
         });
+        await eigeneRegelnAbgleichen(istAktiviert ? 'Eingeschaltet' : 'Ausgeschaltet');
         
         console.log(`⚡ Filterregeln ${istAktiviert ? 'aktiviert' : 'deaktiviert'}`);
         
@@ -586,6 +605,36 @@ async function toggleRuleset(istAktiviert) {
     }
 }
 
+// Schaltet eine einzelne Kategorie um, z.B. Analytics blocken aber Social Ads erlauben
+async function toggleKategorie(rulesetId, istAktiviert) {
+    if (!alleRulesetIds().includes(rulesetId)) {
+        throw new Error(`Unbekannte Kategorie: ${rulesetId}`);
+    }
+    
+    const result = await chrome.storage.local.get(['disabledCategories', 'isEnabled']);
+    let deaktivierteKategorien = result.disabledCategories || [];
+    
+    if (istAktiviert) {
+        deaktivierteKategorien = deaktivierteKategorien.filter(id => id !== rulesetId);
+    } else if (!deaktivierteKategorien.includes(rulesetId)) {
+        deaktivierteKategorien.push(rulesetId);
+    }
+    
+    await chrome.storage.local.set({
+        disabledCategories: deaktivierteKategorien,
+        lastUpdate: Date.now()
+    });
+    
+    // Bei global ausgeschaltetem Blocker nur merken - toggleRuleset wendet es beim Einschalten an
+    if (result.isEnabled !== false) {
+        await chrome.declarativeNetRequest.updateEnabledRulesets(istAktiviert ?
+            { enableRulesetIds: [rulesetId] } :
+            { disableRulesetIds: [rulesetId] });
+    }
+    
+    console.log(`⚡ Kategorie ${rulesetId} ${istAktiviert ? 'aktiviert' : 'deaktiviert'}`);
+}
+
 // Das ist die neue coole Funktion - schaltet nur für eine bestimmte Domain um
 async function toggleRulesetFuerDomain(domain, istAktiviert) {
     try {
@@ -607,8 +656,8 @@ async function toggleRulesetFuerDomain(domain, istAktiviert) {
             lastUpdate: Date.now()
         });
         
-        // Jetzt die Session-Regeln für diese Domain updaten
-        await updateSessionRulesForDomain(domain, istAktiviert);
+        // Jetzt die Allow-Regeln an die neue Liste anpassen
+        await allowlistAbgleichen('Toggle');
         
         console.log(`⚡ Domain ${domain} ${istAktiviert ? 'aktiviert' : 'deaktiviert'}`);
         console.log(`📋 Deaktivierte Domains:`, deaktivierteDomains);
@@ -618,64 +667,347 @@ async function toggleRulesetFuerDomain(domain, istAktiviert) {
     }
 }
 
-// Hier passiert die eigentliche Magie - Session Rules für eine Domain setzen/entfernen
-async function updateSessionRulesForDomain(domain, istAktiviert) {
-    try {
-        const regelId = hashCode(domain);
-        
-        if (istAktiviert) {
-            // Session-Regel wieder entfernen - bedeutet Ads werden wieder blockiert
-            const subdomainRegelId = regelId + 1;
-            await chrome.declarativeNetRequest.updateSessionRules({
-                removeRuleIds: [regelId, subdomainRegelId]
-            });
-            console.log(`✅ Allow-Regeln für ${domain} entfernt`);
-        } else {
-            // Session-Regel hinzufügen die alles von dieser Domain erlaubt
-            // Hohe Priorität damit sie über die Block-Regeln gewinnt
-            await chrome.declarativeNetRequest.updateSessionRules({
-                addRules: [{
-                    id: regelId,
-                    priority: 100000, // Sehr hohe Priorität
-                    action: { type: 'allow' },
-                    condition: {
-                        initiatorDomains: [domain], // Requests VON dieser Domain
-                        resourceTypes: ['main_frame', 'sub_frame', 'stylesheet', 'script', 'image', 'font', 'object', 'xmlhttprequest', 'ping', 'csp_report', 'media', 'websocket', 'other']
-                    }
-                }]
+// Priorität der Allow-Regeln - muss über allen Regeln aus den Filterlisten liegen
+const ALLOWLIST_PRIORITAET = 100000;
+
+const ALLE_RESSOURCEN_TYPEN = ['main_frame', 'sub_frame', 'stylesheet', 'script', 'image', 'font', 'object', 'xmlhttprequest', 'ping', 'csp_report', 'media', 'websocket', 'other'];
+
+// Hier passiert die eigentliche Magie - die Allow-Regeln für eine Domain
+// Früher Session-Regeln, die aber beim Browser-Neustart verschwinden - jetzt dynamische Regeln, die bleiben
+// dnr_emulator.js (buildDomainAllowRules) baut dieselben Regeln für test-url nach - Änderungen dort mitziehen
+// Die zwei IDs kommen vom Allocator, hashCode(domain) konnte bei zwei Domains kollidieren
+function allowRegelnFuerDomain(domain, [initiatorRegelId, requestRegelId]) {
+    return [{
+        id: initiatorRegelId,
+        priority: ALLOWLIST_PRIORITAET, // Hohe Priorität damit sie über die Block-Regeln gewinnt
+        action: { type: 'allow' },
+        condition: {
+            initiatorDomains: [domain], // Requests VON dieser Domain
+            resourceTypes: ALLE_RESSOURCEN_TYPEN
+        }
+    }, {
+        // Zusätzlich noch eine Regel für Requests ZU dieser Domain
+        id: requestRegelId,
+        priority: ALLOWLIST_PRIORITAET,
+        action: { type: 'allow' },
+        condition: {
+            requestDomains: [domain],
+            resourceTypes: ALLE_RESSOURCEN_TYPEN
+        }
+    }];
+}
+
+// Erkennt unsere Allow-Regeln unter allen dynamischen bzw. Session-Regeln
+// Regeln älterer Versionen haben hashCode-IDs außerhalb des Allowlist-Bereichs und werden an Priorität und Aktion erkannt
+function istAllowlistRegel(regel) {
+    if (regel.condition.tabIds) return false;
+    return purposeOfRuleId(regel.id) === 'allowlist' ||
+        (regel.priority === ALLOWLIST_PRIORITAET && regel.action.type === 'allow');
+}
+
+// Was an einer Regel zählt - Chrome gibt Regeln nicht unbedingt mit derselben Feldreihenfolge zurück
+function regelSchluessel(regel) {
+    return JSON.stringify([
+        regel.id,
+        regel.condition.initiatorDomains || null,
+        regel.condition.requestDomains || null,
+        [...(regel.condition.resourceTypes || [])].sort()
+    ]);
+}
+
+// Immer nur ein Abgleich gleichzeitig, sonst sehen sich zwei Läufe gegenseitig halb fertig
+let allowlistSperre = Promise.resolve();
+
+// Gleicht die installierten Allow-Regeln mit disabledDomains im Storage ab - der Storage ist die Wahrheit:
+// fehlende Regeln werden angelegt, verwaiste oder veränderte ersetzt, alte Session-Regeln aufgeräumt
+function allowlistAbgleichen(anlass) {
+    const lauf = allowlistSperre.then(async () => {
+        const [result, dynamischeRegeln, sessionRegeln] = await Promise.all([
+            chrome.storage.local.get(['disabledDomains']),
+            chrome.declarativeNetRequest.getDynamicRules(),
+            chrome.declarativeNetRequest.getSessionRules()
+        ]);
+        
+        const domains = result.disabledDomains || [];
+        // Gibt IDs entfernter Domains frei und vergibt neue - zwei pro Domain
+        const regelIds = await syncRuleIds('dynamic', 'allowlist', domains, 2);
+        const sollRegeln = domains.flatMap(domain => allowRegelnFuerDomain(domain, regelIds.get(domain)));
+        const sollSchluessel = new Set(sollRegeln.map(regelSchluessel));
+        const istRegeln = dynamischeRegeln.filter(istAllowlistRegel);
+        const istSchluessel = new Set(istRegeln.map(regelSchluessel));
+        
+        const entfernen = istRegeln.filter(regel => !sollSchluessel.has(regelSchluessel(regel)));
+        const hinzufuegen = sollRegeln.filter(regel => !istSchluessel.has(regelSchluessel(regel)));
+        
+        if (entfernen.length > 0 || hinzufuegen.length > 0) {
+            // Ein einziges Update - Chrome wendet es ganz oder gar nicht an
+            await chrome.declarativeNetRequest.updateDynamicRules({
+                removeRuleIds: entfernen.map(regel => regel.id),
+                addRules: hinzufuegen
             });
-            
-            // Zusätzlich noch eine Regel für Requests ZU dieser Domain
-            const subdomainRegelId = regelId + 1;
+        }
+        
+        // Allow-Regeln älterer Versionen lagen in den Session-Regeln
+        const alteSessionRegeln = sessionRegeln.filter(regel => istAllowlistRegel(regel) && purposeOfRuleId(regel.id) === null);
+        if (alteSessionRegeln.length > 0) {
             await chrome.declarativeNetRequest.updateSessionRules({
-                addRules: [{
-                    id: subdomainRegelId,
-                    priority: 100000,
-                    action: { type: 'allow' },
-                    condition: {
-                        requestDomains: [domain], // Requests ZU dieser Domain
-                        resourceTypes: ['main_frame', 'sub_frame', 'stylesheet', 'script', 'image', 'font', 'object', 'xmlhttprequest', 'ping', 'csp_report', 'media', 'websocket', 'other']
-                    }
-                }]
+                removeRuleIds: alteSessionRegeln.map(regel => regel.id)
             });
-            
-            console.log(`🚫 Allow-Regeln für ${domain} hinzugefügt (ID: ${regelId}, ${subdomainRegelId})`);
         }
+        
+        if (entfernen.length > 0 || hinzufuegen.length > 0) {
+            console.log(`🔧 Allowlist abgeglichen (${anlass}): ${hinzufuegen.length} Regeln hinzugefügt, ${entfernen.length} entfernt`);
+        }
+        return { added: hinzufuegen.length, removed: entfernen.length };
+    });
+    
+    // Ein fehlgeschlagener Lauf darf die folgenden nicht blockieren
+    allowlistSperre = lauf.catch(error => console.error('Fehler beim Abgleich der Allowlist:', error));
+    return lauf;
+}
+
+// Nur-dieser-Tab-Modus: eine Session-Regel mit tabIds erlaubt alles in genau einem Tab
+// Session-Regeln verschwinden mit dem Browser - für einen Tab ist das genau richtig, Tab-IDs gelten eh nur bis dahin
+function tabSchluessel(tabId) {
+    return `tab:${tabId}`;
+}
+
+function istTabRegel(regel, tabId) {
+    return purposeOfRuleId(regel.id) === 'allowlist' &&
+        Array.isArray(regel.condition.tabIds) &&
+        (tabId === undefined || regel.condition.tabIds.includes(tabId));
+}
+
+async function istTabDeaktiviert(tabId) {
+    const sessionRegeln = await chrome.declarativeNetRequest.getSessionRules();
+    return sessionRegeln.some(regel => istTabRegel(regel, tabId));
+}
+
+async function toggleBlockingFuerTab(tabId, istAktiviert) {
+    if (!Number.isInteger(tabId) || tabId < 0) {
+        throw new Error('Ungültige Tab-ID');
+    }
+    
+    if (istAktiviert) {
+        const regelIds = await releaseRuleIds('session', 'allowlist', tabSchluessel(tabId));
+        await chrome.declarativeNetRequest.updateSessionRules({ removeRuleIds: regelIds });
+    } else {
+        const [regelId] = await allocateRuleIds('session', 'allowlist', tabSchluessel(tabId), 1);
+        await chrome.declarativeNetRequest.updateSessionRules({
+            removeRuleIds: [regelId],
+            addRules: [{
+                id: regelId,
+                priority: ALLOWLIST_PRIORITAET,
+                action: { type: 'allow' },
+                condition: {
+                    tabIds: [tabId], // Nur Requests aus diesem Tab
+                    resourceTypes: ALLE_RESSOURCEN_TYPEN
+                }
+            }]
+        });
+    }
+    
+    // Tab-Regeln stehen nicht im Storage - das Content Script erfährt es nur über eine Nachricht
+    // Ohne Content Script (z.B. chrome://-Seiten) gibt es keinen Empfänger, das ist in Ordnung
+    chrome.tabs.sendMessage(tabId, { type: 'refreshCosmeticFilters' }).catch(() => {});
+    
+    console.log(`⚡ Tab ${tabId} ${istAktiviert ? 'aktiviert' : 'deaktiviert'}`);
+}
+
+// Geschlossene Tabs brauchen ihre Regel nicht mehr - und die ID wird wieder frei
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+    try {
+        const regelIds = await releaseRuleIds('session', 'allowlist', tabSchluessel(tabId));
+        // Auch Regeln ohne Eintrag im Allocator entfernen, falls der mal verloren ging
+        const sessionRegeln = await chrome.declarativeNetRequest.getSessionRules();
+        const verwaist = sessionRegeln.filter(regel => istTabRegel(regel, tabId)).map(regel => regel.id);
+        const entfernen = [...new Set([...regelIds, ...verwaist])];
+        if (entfernen.length > 0) {
+            await chrome.declarativeNetRequest.updateSessionRules({ removeRuleIds: entfernen });
+            statsCache = null;
+        }
+        await pauseSetzen(pauseName('tab', tabId), null);
     } catch (error) {
-        console.error('Fehler beim Session-Rules Update:', error);
+        console.error('Fehler beim Aufräumen der Tab-Regel:', error);
     }
+});
+
+// Zeitlich begrenzte Pause - z.B. kurz Werbung erlauben während eines Checkouts
+// setTimeout stirbt mit dem Service Worker, chrome.alarms nicht - der Alarm schaltet das Blocking wieder ein
+// Die Endzeiten stehen zusätzlich in storage.local: Alarme können einen Browser-Neustart oder ein Update nicht überleben
+const PAUSE_PREFIX = 'pause:';
+
+// Alarm-Name pro Ziel: pause:global, pause:site:<domain>, pause:tab:<tabId>
+function pauseName(scope, ziel) {
+    return scope === 'global' ? `${PAUSE_PREFIX}global` : `${PAUSE_PREFIX}${scope}:${ziel}`;
 }
 
-// Kleine Hilfsfunktion um aus einem String eine Nummer zu machen
-// Brauchen wir für eindeutige Rule-IDs
-function hashCode(str) {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-        const char = str.charCodeAt(i);
-        hash = ((hash << 5) - hash) + char;
-        hash = hash & hash; // Zu 32bit Integer konvertieren
+// Startet eine Pause oder hebt sie auf (dauerMinuten = null) - liefert das Ende der Pause
+async function pauseSetzen(name, dauerMinuten) {
+    const result = await chrome.storage.local.get(['pauses']);
+    const pausen = result.pauses || {};
+    const ende = dauerMinuten ? Date.now() + dauerMinuten * 60 * 1000 : null;
+    
+    if (ende) {
+        await chrome.alarms.create(name, { when: ende });
+        pausen[name] = ende;
+    } else {
+        await chrome.alarms.clear(name);
+        if (!(name in pausen)) return null;
+        delete pausen[name];
     }
-    return Math.abs(hash);
+    
+    await chrome.storage.local.set({ pauses: pausen });
+    return ende;
+}
+
+// Pause ist abgelaufen - Blocking für ihr Ziel wieder einschalten
+async function pauseBeenden(name) {
+    const [, scope, ziel] = name.match(/^pause:(global|site|tab)(?::(.+))?$/) || [];
+    await pauseSetzen(name, null);
+    
+    if (scope === 'global') {
+        await toggleRuleset(true);
+    } else if (scope === 'site') {
+        await toggleRulesetFuerDomain(ziel, true);
+    } else if (scope === 'tab') {
+        await toggleBlockingFuerTab(Number(ziel), true);
+    }
+    
+    statsCache = null;
+    console.log(`⏰ Pause ${name} abgelaufen - Blocking wieder aktiv`);
+}
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    if (!alarm.name.startsWith(PAUSE_PREFIX)) return;
+    
+    try {
+        await pauseBeenden(alarm.name);
+    } catch (error) {
+        console.error('Fehler beim Beenden der Pause:', error);
+    }
+});
+
+// Gespeicherte Pausen mit den Alarmen abgleichen: verpasste beenden, verlorene Alarme neu stellen
+async function pausenAbgleichen() {
+    const result = await chrome.storage.local.get(['pauses']);
+    const pausen = result.pauses || {};
+    
+    for (const [name, ende] of Object.entries(pausen)) {
+        if (ende <= Date.now()) {
+            await pauseBeenden(name);
+        } else if (!(await chrome.alarms.get(name))) {
+            await chrome.alarms.create(name, { when: ende });
+        }
+    }
+}
+
+// Laufende Pausen für einen Tab - für den Countdown im Popup
+async function pausenFuerTab(tabId, domain) {
+    const result = await chrome.storage.local.get(['pauses']);
+    const pausen = result.pauses || {};
+    return {
+        tab: pausen[pauseName('tab', tabId)] || null,
+        site: pausen[pauseName('site', domain)] || null,
+        global: pausen[pauseName('global')] || null
+    };
+}
+
+// Eigene Filterregeln des Users - dieselbe ABP-Syntax wie die Filterlisten, installiert als dynamische Regeln
+// Der Quelltext in storage.local (customRules) ist die Wahrheit, die Regeln werden daraus gebaut
+const EIGENE_REGELN_PRIORITAET = 1; // Wie die Filterlisten - @@-Ausnahmen landen über buildRule trotzdem höher
+const MAX_REGEL_LAENGE = 1000;
+
+// Zerlegt die Eingabe in Regelzeilen - leere Zeilen, Kommentare und [Adblock Plus]-Header fallen raus
+function regelZeilen(text) {
+    return text.split('\n')
+        .map((zeile, index) => ({ line: index + 1, rule: zeile.trim() }))
+        .filter(({ rule }) => rule && rule[0] !== '!' && rule[0] !== '[');
+}
+
+// Parst eine Regelzeile - liefert den Filter oder { error } mit dem Grund
+async function eigeneRegelParsen(text) {
+    if (text.length > MAX_REGEL_LAENGE) {
+        return { error: `Regel ist länger als ${MAX_REGEL_LAENGE} Zeichen` };
+    }
+    // Element-Hiding kommt aus dem Kosmetik-Artefakt des Builds, eine dynamische Regel kann das nicht
+    if (COSMETIC_SEPARATOR.test(text)) {
+        return { error: 'Element-Hiding-Regeln (##) werden als eigene Regel nicht unterstützt' };
+    }
+    
+    const filter = parseNetworkFilter(text);
+    if (filter.error) {
+        return { error: filter.error };
+    }
+    if (filter.unsupportedOptions.length > 0) {
+        return { error: `Nicht unterstützte Option: ${filter.unsupportedOptions.join(', ')}` };
+    }
+    
+    // Die RE2-Prüfung der Grammatik ist nur eine Schätzung, Chrome hat das letzte Wort
+    if (filter.regexFilter) {
+        const { isSupported, reason } = await chrome.declarativeNetRequest.isRegexSupported({
+            regex: filter.regexFilter,
+            isCaseSensitive: filter.isUrlFilterCaseSensitive
+        });
+        if (!isSupported) {
+            return { error: `Regex wird von Chrome nicht unterstützt (${reason})` };
+        }
+    }
+    
+    return filter;
+}
+
+// Ersetzt alle installierten eigenen Regeln durch die der Liste - Zeilen, die (nach einem Update) nicht mehr parsen, bleiben draußen
+// Bei global ausgeschaltetem Blocker wird nur entfernt, toggleRuleset installiert sie beim Einschalten wieder
+// Ein einziges Update: Chrome entfernt zuerst und fügt dann hinzu, ganz oder gar nicht
+async function eigeneRegelnInstallieren(regeln) {
+    const filter = new Map();
+    const fehler = [];
+    for (const text of regeln) {
+        const ergebnis = await eigeneRegelParsen(text);
+        if (ergebnis.error) {
+            fehler.push({ rule: text, error: ergebnis.error });
+        } else {
+            filter.set(text, ergebnis);
+        }
+    }
+    
+    // Vergibt IDs für neue Regeln und gibt die von entfernten frei
+    const regelIds = await syncRuleIds('dynamic', 'custom', [...filter.keys()], 1);
+    const [result, installiert] = await Promise.all([
+        chrome.storage.local.get(['isEnabled']),
+        chrome.declarativeNetRequest.getDynamicRules()
+    ]);
+    const aktiv = result.isEnabled !== false;
+    
+    await chrome.declarativeNetRequest.updateDynamicRules({
+        removeRuleIds: installiert.filter(regel => purposeOfRuleId(regel.id) === 'custom').map(regel => regel.id),
+        addRules: aktiv ? [...filter].map(([text, eintrag]) => buildRule(eintrag, regelIds.get(text)[0], EIGENE_REGELN_PRIORITAET)) : []
+    });
+    
+    return fehler;
+}
+
+// Immer nur eine Änderung gleichzeitig - jede liest, prüft und schreibt customRules
+let eigeneRegelnSperre = Promise.resolve();
+
+function mitEigenenRegeln(schritt) {
+    const lauf = eigeneRegelnSperre.then(schritt);
+    eigeneRegelnSperre = lauf.catch(() => {});
+    return lauf;
+}
+
+// Regeln neu bauen - beim globalen An/Aus, darüber auch nach einem Update (die Grammatik kann sich geändert haben)
+function eigeneRegelnAbgleichen(anlass) {
+    return mitEigenenRegeln(async () => {
+        const result = await chrome.storage.local.get(['customRules']);
+        const regeln = result.customRules || [];
+        if (regeln.length === 0) return;
+        
+        const fehler = await eigeneRegelnInstallieren(regeln);
+        console.log(`🔧 Eigene Regeln abgeglichen (${anlass}): ${regeln.length - fehler.length} von ${regeln.length} gültig`);
+        fehler.forEach(({ rule, error }) => console.warn(`⚠️ Eigene Regel übersprungen: ${rule} - ${error}`));
+    });
 }
 
 // Wird beim ersten Start aufgerufen - initialisiert alles
@@ -695,14 +1027,56 @@ async function initialisieren() {
 }
 
 // Event-Listener - reagiert auf Extension-Events
-chrome.runtime.onInstalled.addListener(() => initialisieren());
+chrome.runtime.onInstalled.addListener(async () => {
+    await initialisieren();
+    // Nach einem Update können Regeln aus der alten Version fehlen oder übrig sein
+    await allowlistAbgleichen('Installation/Update');
+});
 chrome.runtime.onStartup.addListener(async () => {
     // Beim Browser-Start: Schauen ob wir aktiviert sind und entsprechend handeln
     const result = await chrome.storage.local.get(['isEnabled']);
     const istAktiviert = result.isEnabled !== false;
     await toggleRuleset(istAktiviert);
+    await allowlistAbgleichen('Browser-Start');
+    // Nach toggleRuleset - sonst würde eine abgelaufene globale Pause gleich wieder überschrieben
+    await pausenAbgleichen();
 });
 
+// Der Service Worker wird ständig beendet und wieder geweckt - bei jedem Aufwachen einmal prüfen
+allowlistAbgleichen('Service Worker gestartet').catch(() => {});
+pausenAbgleichen().catch(error => console.error('Fehler beim Abgleich der Pausen:', error));
+
+// Build-Metadaten vom Precompiler (Regelanzahl pro Ruleset, Listenversion, Build-Zeit)
+// Ändern sich nur mit einem Extension-Update, also reicht einmal laden
+let filterMetadaten = null;
+
+async function ladeFilterMetadaten() {
+    if (!filterMetadaten) {
+        const response = await fetch(chrome.runtime.getURL('filter_lists/filter_metadata.json'));
+        filterMetadaten = await response.json();
+    }
+    return filterMetadaten;
+}
+
+// Installierte Filterlisten mit Version und Ablaufdatum - Ablauf zählt ab dem Build, nicht ab der Installation
+function filterListenAusMetadaten(metadaten) {
+    const buildZeit = new Date(metadaten.buildTime).getTime();
+    
+    return metadaten.sources.map(quelle => {
+        const ablaufZeit = quelle.expiresHours ? buildZeit + quelle.expiresHours * 60 * 60 * 1000 : null;
+        return {
+            file: quelle.file,
+            title: quelle.title,
+            version: quelle.version,
+            homepage: quelle.homepage,
+            lastModified: quelle.lastModified,
+            expires: quelle.expires,
+            expiresAt: ablaufZeit,
+            isExpired: ablaufZeit !== null && ablaufZeit < Date.now()
+        };
+    });
+}
+
 // Performance-Cache damit die Stats schnell geladen werden
 let statsCache = null;
 let cacheTime = 0;
@@ -713,24 +1087,148 @@ async function handleToggleBlocking(request, sender) {
     if (typeof request.isEnabled !== 'boolean') {
         return { error: 'Ungültige Anfrage' };
     }
+    // Optional: nur für durationMinutes Minuten ausschalten
+    const dauer = request.durationMinutes;
+    if (dauer !== undefined && (typeof dauer !== 'number' || !Number.isFinite(dauer) || dauer <= 0)) {
+        return { error: 'Ungültige Pausendauer' };
+    }
     
     try {
-        if (request.domain) {
-            // Per-Domain Toggle (das neue Feature!)
+        let pause;
+        
+        if (request.scope === 'tab') {
+            // Nur dieser Tab - andere Tabs mit derselben Seite blocken weiter
+            await toggleBlockingFuerTab(request.tabId, request.isEnabled);
+            pause = pauseName('tab', request.tabId);
+            if (request.reload !== false) {
+                await chrome.tabs.reload(request.tabId);
+            }
+        } else if (request.domain && request.scope !== 'global') {
+            // Per-Domain Toggle - die Seite in allen Tabs
             await toggleRulesetFuerDomain(request.domain, request.isEnabled);
+            pause = pauseName('site', request.domain);
             
             // Tab neu laden falls gewünscht
-            if (request.tabId) {
+            if (request.tabId && request.reload !== false) {
                 await chrome.tabs.reload(request.tabId);
             }
         } else {
-            // Globaler Toggle (alter Stil)
+            // Globaler Toggle - alle Seiten in allen Tabs
             await toggleRuleset(request.isEnabled);
+            pause = pauseName('global');
+            if (request.tabId && request.reload !== false) {
+                await chrome.tabs.reload(request.tabId);
+            }
         }
         
+        // Einschalten oder dauerhaft Ausschalten beendet eine laufende Pause
+        const pausedUntil = await pauseSetzen(pause, request.isEnabled ? null : dauer);
+        
         // Cache ungültig machen wenn sich was ändert
         statsCache = null;
-        return { success: true, isEnabled: request.isEnabled };
+        return { success: true, isEnabled: request.isEnabled, pausedUntil };
+    } catch (error) {
+        return { error: error.message };
+    }
+}
+
+// Eigene Regeln hinzufügen - mehrere Zeilen auf einmal gehen auch, bei einem Fehler wird keine installiert
+async function handleAddCustomRule(request) {
+    if (typeof request.rule !== 'string') {
+        return { error: 'Ungültige Anfrage' };
+    }
+    
+    const zeilen = regelZeilen(request.rule);
+    if (zeilen.length === 0) {
+        return { error: 'Keine Regel angegeben' };
+    }
+    
+    try {
+        return await mitEigenenRegeln(async () => {
+            // Erst alle Zeilen prüfen, damit der Aufrufer jeden Fehler auf einmal sieht
+            const errors = [];
+            for (const { line, rule } of zeilen) {
+                const ergebnis = await eigeneRegelParsen(rule);
+                if (ergebnis.error) {
+                    errors.push({ line, rule, error: ergebnis.error });
+                }
+            }
+            if (errors.length > 0) {
+                return { error: 'Ungültige Regel', errors };
+            }
+            
+            const result = await chrome.storage.local.get(['customRules']);
+            const bisher = result.customRules || [];
+            const regeln = [...new Set([...bisher, ...zeilen.map(({ rule }) => rule)])];
+            
+            try {
+                await eigeneRegelnInstallieren(regeln);
+            } catch (error) {
+                // Z.B. Quote erschöpft - alten Stand wiederherstellen, sonst bleiben IDs für nie installierte Regeln reserviert
+                await eigeneRegelnInstallieren(bisher).catch(() => {});
+                return { error: error.message };
+            }
+            
+            await chrome.storage.local.set({ customRules: regeln });
+            statsCache = null;
+            return { success: true, added: regeln.filter(regel => !bisher.includes(regel)) };
+        });
+    } catch (error) {
+        return { error: error.message };
+    }
+}
+
+// Eigene Regel entfernen - der Text muss genau so angegeben werden, wie listCustomRules ihn liefert
+async function handleRemoveCustomRule(request) {
+    if (typeof request.rule !== 'string') {
+        return { error: 'Ungültige Anfrage' };
+    }
+    
+    const text = request.rule.trim();
+    
+    try {
+        return await mitEigenenRegeln(async () => {
+            const result = await chrome.storage.local.get(['customRules']);
+            const bisher = result.customRules || [];
+            if (!bisher.includes(text)) {
+                return { error: 'Regel nicht gefunden' };
+            }
+            
+            const regeln = bisher.filter(regel => regel !== text);
+            await eigeneRegelnInstallieren(regeln);
+            await chrome.storage.local.set({ customRules: regeln });
+            statsCache = null;
+            return { success: true, removed: text };
+        });
+    } catch (error) {
+        return { error: error.message };
+    }
+}
+
+// Alle eigenen Regeln mit Regel-ID und ob sie gerade installiert sind
+async function handleListCustomRules() {
+    try {
+        const [result, regelIds, dynamischeRegeln, nutzung] = await Promise.all([
+            chrome.storage.local.get(['customRules']),
+            getRuleIds('dynamic', 'custom'),
+            chrome.declarativeNetRequest.getDynamicRules(),
+            getRuleIdUsage('dynamic')
+        ]);
+        const installiert = new Map(dynamischeRegeln.map(regel => [regel.id, regel]));
+        
+        return {
+            rules: (result.customRules || []).map(text => {
+                const [id] = regelIds.get(text) || [];
+                const regel = installiert.get(id);
+                return {
+                    rule: text,
+                    id: id ?? null,
+                    action: regel ? regel.action.type : null,
+                    installed: Boolean(regel)
+                };
+            }),
+            quota: nutzung.custom
+        };
     } catch (error) {
         return { error: error.message };
     }
@@ -745,18 +1243,38 @@ async function handleGetStats() {
     }
     
     try {
-        const result = await chrome.storage.local.get(['lastUpdate', 'isEnabled']);
-        const enabledRulesets = await chrome.declarativeNetRequest.getEnabledRulesets();
-        
-        // Statische Anzahl der Regeln (viel schneller als API-Calls)
-        let aktuelleRegelanzahl = 0;
-        if (enabledRulesets.includes('ruleset_1')) {
-            aktuelleRegelanzahl = 91; // Exakte Anzahl aus unserem statischen Ruleset
-        }
+        const [result, enabledRulesets, dynamischeRegeln, sessionRegeln, metadaten] = await Promise.all([
+            chrome.storage.local.get(['lastUpdate', 'isEnabled']),
+            chrome.declarativeNetRequest.getEnabledRulesets(),
+            chrome.declarativeNetRequest.getDynamicRules(),
+            chrome.declarativeNetRequest.getSessionRules(),
+            ladeFilterMetadaten()
+        ]);
+        
+        // Statische Regeln kommen aus den Metadaten - nur die gerade aktiven Rulesets zählen
+        const aktiveRulesets = metadaten.rulesets.filter(ruleset => enabledRulesets.includes(ruleset.id));
+        const statischeRegeln = aktiveRulesets.reduce((summe, ruleset) => summe + ruleset.rules, 0);
+        const aktiveFilter = aktiveRulesets.reduce((summe, ruleset) => summe + ruleset.filters, 0);
         
         // Ergebnis cachen für bessere Performance
         statsCache = {
-            rulesCount: aktuelleRegelanzahl,
+            rulesCount: statischeRegeln + dynamischeRegeln.length + sessionRegeln.length,
+            staticRules: statischeRegeln,
+            dynamicRules: dynamischeRegeln.length,
+            sessionRules: sessionRegeln.length,
+            filtersCount: aktiveFilter,
+            enabledRulesets: aktiveRulesets.length,
+            totalRulesets: metadaten.rulesets.length,
+            categories: metadaten.rulesets.map(ruleset => ({
+                rulesetId: ruleset.id,
+                name: ruleset.name,
+                rules: ruleset.rules,
+                filters: ruleset.filters,
+                isActive: enabledRulesets.includes(ruleset.id)
+            })),
+            listVersion: metadaten.sources.map(source => source.version).join(', '),
+            lists: filterListenAusMetadaten(metadaten),
+            buildTime: metadaten.buildTime,
             lastUpdate: result.lastUpdate || Date.now(),
             isEnabled: result.isEnabled !== false
         };
@@ -768,6 +1286,56 @@ async function handleGetStats() {
     }
 }
 
+// Kategorie an/aus - kommt vom Popup oder einer Options-Seite
+async function handleSetCategoryEnabled(request) {
+    if (typeof request.rulesetId !== 'string' || typeof request.isEnabled !== 'boolean') {
+        return { error: 'Ungültige Anfrage' };
+    }
+    
+    try {
+        await toggleKategorie(request.rulesetId, request.isEnabled);
+        statsCache = null;
+        return { success: true, rulesetId: request.rulesetId, isEnabled: request.isEnabled };
+    } catch (error) {
+        return { error: error.message };
+    }
+}
+
+// Liste aller Kategorien mit ihrem Status
+async function handleGetCategories() {
+    try {
+        const result = await chrome.storage.local.get(['disabledCategories']);
+        const deaktivierteKategorien = result.disabledCategories || [];
+        const enabledRulesets = await chrome.declarativeNetRequest.getEnabledRulesets();
+        const metadaten = await ladeFilterMetadaten();
+        const namen = new Map(metadaten.rulesets.map(ruleset => [ruleset.id, ruleset.name]));
+        
+        return {
+            categories: alleRulesetIds().map(id => ({
+                rulesetId: id,
+                name: namen.get(id) || id,
+                isEnabled: !deaktivierteKategorien.includes(id),
+                isActive: enabledRulesets.includes(id)
+            }))
+        };
+    } catch (error) {
+        return { error: error.message };
+    }
+}
+
+// Liste aller installierten Filterlisten - für eine Options-Seite
+async function handleGetFilterLists() {
+    try {
+        const metadaten = await ladeFilterMetadaten();
+        return {
+            buildTime: metadaten.buildTime,
+            lists: filterListenAusMetadaten(metadaten)
+        };
+    } catch (error) {
+        return { error: error.message };
+    }
+}
+
 // Holt Infos über den aktuellen Tab
 async function handleGetCurrentTab() {
     try {
@@ -789,13 +1357,157 @@ async function handleGetCurrentTab() {
             tabId: tab.id,
             domain: domain,
             url: tab.url,
-            isEnabledForDomain: istAktiviertFuerDomain
+            isEnabledForDomain: istAktiviertFuerDomain,
+            isEnabledForTab: !(await istTabDeaktiviert(tab.id)),
+            pausedUntil: await pausenFuerTab(tab.id, domain)
         };
     } catch (error) {
         return { error: error.message };
     }
 }
 
+// Kosmetische Filter aus dem Precompiler - erst beim ersten Bedarf laden, dann im Speicher halten
+let kosmetikFilter = null;
+
+async function ladeKosmetikFilter() {
+    if (!kosmetikFilter) {
+        const response = await fetch(chrome.runtime.getURL('filter_lists/filter_cosmetic.json'));
+        kosmetikFilter = await response.json();
+    }
+    return kosmetikFilter;
+}
+
+// Liefert die Hiding-Selektoren für einen Hostnamen an das Content Script
+async function handleGetCosmeticFilters(request, sender) {
+    if (typeof request.hostname !== 'string' || !request.hostname) {
+        return { error: 'Ungültiger Hostname' };
+    }
+    
+    try {
+        const result = await chrome.storage.local.get(['isEnabled', 'disabledDomains']);
+        const deaktivierteDomains = result.disabledDomains || [];
+        
+        // Wenn der User hier Werbung erlaubt, wird auch nichts versteckt - auch nicht im freigegebenen Tab
+        const tabId = sender?.tab?.id;
+        if (result.isEnabled === false || deaktivierteDomains.includes(request.hostname) ||
+            (tabId !== undefined && await istTabDeaktiviert(tabId))) {
+            return { disabled: true, generic: [], specific: [] };
+        }
+        
+        const filter = await ladeKosmetikFilter();
+        
+        // www.news.example.com erbt die Regeln von news.example.com und example.com
+        const teile = request.hostname.toLowerCase().split('.');
+        const hostnamen = teile.map((_, index) => teile.slice(index).join('.'));
+        
+        const spezifisch = new Set();
+        const ausnahmen = new Set();
+        hostnamen.forEach(hostname => {
+            (filter.specific[hostname] || []).forEach(selektor => spezifisch.add(selektor));
+            (filter.exceptions[hostname] || []).forEach(selektor => ausnahmen.add(selektor));
+        });
+        
+        return {
+            disabled: false,
+            generic: filter.generic.filter(selektor => !ausnahmen.has(selektor)),
+            specific: [...spezifisch].filter(selektor => !ausnahmen.has(selektor))
+        };
+    } catch (error) {
+        console.error('Fehler beim Laden der kosmetischen Filter:', error);
+        return { error: error.message };
+    }
+}
+
+// Source Map vom Precompiler: Regel-ID → Listendatei, Zeile, Filtertext, Kategorie
+// Wird nur gebraucht wenn jemand eine Regel erklärt haben will, also erst dann laden
+let regelHerkunft = null;
+
+async function ladeRegelHerkunft() {
+    if (!regelHerkunft) {
+        const response = await fetch(chrome.runtime.getURL('filter_lists/filter_sourcemap.json'));
+        regelHerkunft = (await response.json()).rules;
+    }
+    return regelHerkunft;
+}
+
+// Wie eine Regel im Log beschrieben wird, je nach Aktion
+const REGEL_AKTIONEN = {
+    block: 'blockiert',
+    allow: 'erlaubt',
+    allowAllRequests: 'erlaubt',
+    redirect: 'umgeleitet',
+    modifyHeaders: 'Header geändert'
+};
+
+// `||criteo.net^` bzw. `@@||criteo.net^$script` → criteo.net
+const DOMAIN_FILTER = /^(?:@@)?\|\|([a-z0-9.-]+)\^/i;
+
+// Zusammengefasste Regeln (requestDomains) haben eine Quelle pro Domain - die zur URL passende nehmen
+function passendeQuelle(quellen, url) {
+    if (quellen.length === 1 || !url) return quellen[0];
+    
+    let hostname;
+    try {
+        hostname = new URL(url).hostname.toLowerCase();
+    } catch {
+        return quellen[0];
+    }
+    
+    return quellen.find(quelle => {
+        const treffer = DOMAIN_FILTER.exec(quelle.filter || '');
+        const domain = treffer && treffer[1].toLowerCase();
+        return domain && (hostname === domain || hostname.endsWith(`.${domain}`));
+    }) || quellen[0];
+}
+
+// Welcher Filter steckt hinter einer Regel-ID? Session-Regeln (Domain-Ausnahmen) stehen nicht in der Source Map
+async function erklaereRegel(ruleId, url) {
+    const herkunft = (await ladeRegelHerkunft())[ruleId];
+    if (!herkunft) return null;
+    
+    const quelle = passendeQuelle(herkunft.sources, url);
+    return {
+        ruleId,
+        ruleset: herkunft.ruleset,
+        category: herkunft.category,
+        file: herkunft.file,
+        line: quelle.line,
+        filter: quelle.filter,
+        description: `${REGEL_AKTIONEN[herkunft.action] || herkunft.action} durch ${quelle.filter} (${herkunft.category}, Zeile ${quelle.line})`
+    };
+}
+
+// Treffer-Log mit dem Filter dahinter - onRuleMatchedDebug feuert nur bei entpackten Extensions
+chrome.declarativeNetRequest.onRuleMatchedDebug.addListener(async ({ request, rule }) => {
+    if (rule.rulesetId === chrome.declarativeNetRequest.SESSION_RULESET_ID ||
+        rule.rulesetId === chrome.declarativeNetRequest.DYNAMIC_RULESET_ID) {
+        return;
+    }
+    
+    try {
+        const erklaerung = await erklaereRegel(rule.ruleId, request.url);
+        if (erklaerung) {
+            console.debug(`[Pagy Blocker] ${request.url} ${erklaerung.description}`);
+        }
+    } catch (error) {
+        console.warn('Source Map nicht verfügbar:', error.message);
+    }
+});
+
+async function handleExplainRule(request) {
+    if (!Number.isInteger(request.ruleId)) {
+        return { error: 'Ungültige Regel-ID' };
+    }
+    
+    try {
+        const erklaerung = await erklaereRegel(request.ruleId, request.url);
+        return erklaerung || { error: 'Regel nicht in der Source Map' };
+    } catch (error) {
+        console.error('Fehler beim Laden der Source Map:', error);
+        return { error: error.message };
+    }
+}
+
 // Handle ML data collection from content script
 async function handleMLDataCollection(request, sender) {
     try {
@@ -946,6 +1658,46 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         return true;
     }
     
+    if (request.type === 'setCategoryEnabled') {
+        handleSetCategoryEnabled(request).then(sendResponse);
+        return true;
+    }
+    
+    if (request.type === 'getCategories') {
+        handleGetCategories().then(sendResponse);
+        return true;
+    }
+    
+    if (request.type === 'getFilterLists') {
+        handleGetFilterLists().then(sendResponse);
+        return true;
+    }
+    
+    if (request.type === 'getCosmeticFilters') {
+        handleGetCosmeticFilters(request, sender).then(sendResponse);
+        return true;
+    }
+    
+    if (request.type === 'explainRule') {
+        handleExplainRule(request).then(sendResponse);
+        return true;
+    }
+    
+    if (request.type === 'addCustomRule') {
+        handleAddCustomRule(request).then(sendResponse);
+        return true;
+    }
+    
+    if (request.type === 'removeCustomRule') {
+        handleRemoveCustomRule(request).then(sendResponse);
+        return true;
+    }
+    
+    if (request.type === 'listCustomRules') {
+        handleListCustomRules().then(sendResponse);
+        return true;
+    }
+    
     // Handle ML data collection from content script
     if (request.action === 'ml_data_collected') {
         handleMLDataCollection(request, sender).then(sendResponse);
@@ -0,0 +1,310 @@
+#!/usr/bin/env node
+
+/**
+ * Pagy Blocker - Coverage harness
+ * Replays recorded request lists against the compiled rulesets and compares each verdict with the expected one.
+ * Coverage, false positives and false negatives are reported per category and checked against a stored baseline.
+ *
+ * Usage: node coverage_harness.js [fixture.json ...] [--baseline <file>] [--update-baseline] [--report <file>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createMatcher, evaluateRequest, loadManifestRulesets, registrableDomain } = require('./dnr_emulator');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'requests');
+const BASELINE_FILE = path.join(__dirname, 'fixtures', 'coverage_baseline.json');
+
+const VERDICTS = ['block', 'allow'];
+
+// Coverage is compared in percent with one decimal, the same precision the report prints
+const COVERAGE_PRECISION = 10;
+
+/**
+ * Load and validate a fixture file
+ * @param {string} filePath - Fixture JSON
+ * @returns {Object} { name, file, page, requests }
+ */
+function loadFixture(filePath) {
+    const fixture = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    
+    if (!Array.isArray(fixture.requests)) {
+        throw new Error(`${filePath}: "requests" must be an array`);
+    }
+    
+    fixture.requests.forEach((request, index) => {
+        if (!request.url) {
+            throw new Error(`${filePath}: request ${index + 1} has no url`);
+        }
+        if (!VERDICTS.includes(request.expected)) {
+            throw new Error(`${filePath}: request ${index + 1} expects "${request.expected}", use ${VERDICTS.join(' or ')}`);
+        }
+    });
+    
+    return {
+        name: fixture.name || path.basename(filePath, '.json'),
+        file: path.relative(__dirname, filePath),
+        page: fixture.page || null,
+        requests: fixture.requests
+    };
+}
+
+/**
+ * All fixture files in the fixtures directory
+ * @param {string} dir - Directory to scan
+ * @returns {Array<string>} Sorted file paths
+ */
+function findFixtures(dir = FIXTURES_DIR) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .filter(name => name.endsWith('.json'))
+        .sort()
+        .map(name => path.join(dir, name));
+}
+
+/**
+ * Whether the page would lose the request: blocked, or swapped for a surrogate
+ * Stripping tracking parameters keeps the request, so it still counts as allowed.
+ * @param {Object} result - Result of evaluateRequest
+ * @returns {boolean} Whether the request is blocked
+ */
+function isBlocked(result) {
+    if (result.blocked) return true;
+    return result.action === 'redirect' && Boolean(result.rule.action.redirect.extensionPath);
+}
+
+/**
+ * Category of a recorded request, first- or third-party when the fixture names none
+ * @param {Object} request - Recorded request
+ * @param {string|null} initiator - Initiator URL
+ * @returns {string} Category
+ */
+function requestCategory(request, initiator) {
+    if (request.category) return request.category;
+    if (!initiator) return 'first-party';
+    
+    const requestSite = registrableDomain(new URL(request.url).hostname.toLowerCase());
+    const initiatorSite = registrableDomain(new URL(initiator).hostname.toLowerCase());
+    return requestSite === initiatorSite ? 'first-party' : 'third-party';
+}
+
+/**
+ * Replay fixtures against the rulesets
+ * @param {Array<Object>} fixtures - Fixtures from loadFixture
+ * @param {Array<Object>} rulesets - { id, rules } in precedence order
+ * @returns {Object} { categories, falsePositives, falseNegatives, totals } - JSON-safe report
+ */
+function runCoverage(fixtures, rulesets) {
+    const matcher = createMatcher(rulesets);
+    const categories = {};
+    const falsePositives = [];
+    const falseNegatives = [];
+    
+    for (const fixture of fixtures) {
+        fixture.requests.forEach(request => {
+            // Subresources default to the recorded page as initiator, navigations have none
+            const initiator = request.initiator !== undefined ? request.initiator :
+                (request.type === 'main_frame' ? null : fixture.page);
+            const result = evaluateRequest(matcher, { url: request.url, initiator, type: request.type });
+            const blocked = isBlocked(result);
+            const category = requestCategory(request, initiator);
+            
+            const counts = categories[category] ||
+                (categories[category] = { total: 0, expectedBlocked: 0, truePositives: 0, falseNegatives: 0, falsePositives: 0 });
+            counts.total++;
+            
+            const outcome = {
+                fixture: fixture.file,
+                url: request.url,
+                type: request.type || null,
+                category,
+                action: result.action,
+                ruleId: result.rule ? result.rule.id : null,
+                rulesetId: result.rulesetId
+            };
+            
+            if (request.expected === 'block') {
+                counts.expectedBlocked++;
+                if (blocked) {
+                    counts.truePositives++;
+                } else {
+                    counts.falseNegatives++;
+                    falseNegatives.push(outcome);
+                }
+            } else if (blocked) {
+                counts.falsePositives++;
+                falsePositives.push(outcome);
+            }
+        });
+    }
+    
+    const totals = { total: 0, expectedBlocked: 0, truePositives: 0, falseNegatives: 0, falsePositives: 0 };
+    for (const counts of Object.values(categories)) {
+        for (const field of Object.keys(totals)) totals[field] += counts[field];
+        counts.coverage = coveragePercent(counts);
+    }
+    totals.coverage = coveragePercent(totals);
+    
+    return { categories, totals, falsePositives, falseNegatives };
+}
+
+/**
+ * Share of the requests that should be blocked and are
+ * @param {Object} counts - Category counts
+ * @returns {number|null} Percent with one decimal, null without any request to block
+ */
+function coveragePercent(counts) {
+    if (counts.expectedBlocked === 0) return null;
+    return Math.round((counts.truePositives / counts.expectedBlocked) * 100 * COVERAGE_PRECISION) / COVERAGE_PRECISION;
+}
+
+/**
+ * Compare a report with the baseline: lower coverage or more false positives in any category is a regression
+ * @param {Object} report - Report from runCoverage
+ * @param {Object} baseline - Stored report
+ * @returns {Array<string>} Regression descriptions, empty if none
+ */
+function findRegressions(report, baseline) {
+    const regressions = [];
+    
+    for (const [category, previous] of Object.entries(baseline.categories || {})) {
+        const current = report.categories[category];
+        if (!current) {
+            regressions.push(`${category}: no longer covered by any fixture`);
+            continue;
+        }
+        if (previous.coverage !== null && (current.coverage === null || current.coverage < previous.coverage)) {
+            regressions.push(`${category}: coverage ${previous.coverage}% → ${current.coverage === null ? 'n/a' : `${current.coverage}%`}`);
+        }
+        if (current.falsePositives > previous.falsePositives) {
+            regressions.push(`${category}: false positives ${previous.falsePositives} → ${current.falsePositives}`);
+        }
+    }
+    
+    return regressions;
+}
+
+/**
+ * Human-readable version of a runCoverage report
+ * @param {Object} report - Report from runCoverage
+ * @returns {string} Multi-line report
+ */
+function formatCoverageReport(report) {
+    const lines = ['📊 Coverage per category:'];
+    const width = Math.max(...Object.keys(report.categories).map(category => category.length), 'total'.length);
+    const row = (name, counts) => {
+        const coverage = counts.coverage === null ? '   n/a' : `${counts.coverage.toFixed(1).padStart(5)}%`;
+        return `  ${name.padEnd(width)}  ${coverage}  ${String(counts.truePositives).padStart(3)}/${String(counts.expectedBlocked).padEnd(3)} blocked  FN ${counts.falseNegatives}  FP ${counts.falsePositives}  (${counts.total} requests)`;
+    };
+    
+    Object.keys(report.categories).sort().forEach(category => lines.push(row(category, report.categories[category])));
+    lines.push(row('total', report.totals));
+    
+    const section = (title, outcomes, describe) => {
+        if (outcomes.length === 0) return;
+        lines.push('', `${title}:`);
+        outcomes.forEach(outcome => lines.push(describe(outcome)));
+    };
+    
+    section('False positives', report.falsePositives, outcome =>
+        `  🚫 ${outcome.url} [${outcome.category}] ${outcome.action} by rule ${outcome.ruleId} in ${outcome.rulesetId}`);
+    section('False negatives', report.falseNegatives, outcome =>
+        `  ⚠️ ${outcome.url} [${outcome.category}]${outcome.action ? ` ${outcome.action} by rule ${outcome.ruleId} in ${outcome.rulesetId}` : ' no rule matches'}`);
+    
+    return lines.join('\n');
+}
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} args - Arguments
+ * @returns {Object} Parsed arguments
+ */
+function parseArgs(args) {
+    const options = { fixtures: [], baseline: BASELINE_FILE, updateBaseline: false, report: null };
+    
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--baseline') {
+            options.baseline = args[++i];
+        } else if (arg === '--update-baseline') {
+            options.updateBaseline = true;
+        } else if (arg === '--report') {
+            options.report = args[++i];
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else {
+            options.fixtures.push(arg);
+        }
+    }
+    
+    return options;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    
+    if (options.help) {
+        console.log('Usage: node coverage_harness.js [fixture.json ...] [options]');
+        console.log('Options:');
+        console.log('  --baseline <file>   Baseline to compare with (default: fixtures/coverage_baseline.json)');
+        console.log('  --update-baseline   Store this run as the new baseline instead of comparing');
+        console.log('  --report <file>     Also write the report as JSON');
+        console.log(`Without fixture arguments every file in ${path.relative(process.cwd(), FIXTURES_DIR) || '.'} is replayed.`);
+        return;
+    }
+    
+    try {
+        const fixtureFiles = options.fixtures.length > 0 ? options.fixtures : findFixtures();
+        if (fixtureFiles.length === 0) {
+            throw new Error(`No fixtures found in ${FIXTURES_DIR}`);
+        }
+        
+        const fixtures = fixtureFiles.map(loadFixture);
+        const requestCount = fixtures.reduce((sum, fixture) => sum + fixture.requests.length, 0);
+        console.log(`🔁 Replaying ${requestCount} requests from ${fixtures.length} fixtures against the enabled rulesets`);
+        
+        const report = runCoverage(fixtures, loadManifestRulesets());
+        console.log(formatCoverageReport(report));
+        
+        if (options.report) {
+            fs.writeFileSync(options.report, JSON.stringify(report, null, 2));
+            console.log(`📝 JSON report written to ${options.report}`);
+        }
+        
+        if (options.updateBaseline) {
+            const baseline = { categories: report.categories, totals: report.totals };
+            fs.writeFileSync(options.baseline, JSON.stringify(baseline, null, 2) + '\n');
+            console.log(`💾 Baseline updated: ${options.baseline}`);
+            return;
+        }
+        
+        if (!fs.existsSync(options.baseline)) {
+            console.log(`⚠️ No baseline at ${options.baseline}, run with --update-baseline to store one`);
+            return;
+        }
+        
+        const regressions = findRegressions(report, JSON.parse(fs.readFileSync(options.baseline, 'utf8')));
+        if (regressions.length > 0) {
+            console.error(`\n❌ ${regressions.length} regression(s) against the baseline:`);
+            regressions.forEach(regression => console.error(`  ${regression}`));
+            process.exitCode = 1;
+        } else {
+            console.log('\n✅ No regressions against the baseline');
+        }
+    } catch (error) {
+        console.error('❌ Coverage run failed:', error.message);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    loadFixture,
+    findFixtures,
+    runCoverage,
+    findRegressions,
+    formatCoverageReport
+};
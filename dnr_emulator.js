@@ -0,0 +1,406 @@
+#!/usr/bin/env node
+
+/**
+ * Pagy Blocker - Offline declarativeNetRequest emulator
+ * Evaluates a request against compiled rulesets with Chrome's matching rules, so list changes can be
+ * checked without loading the extension.
+ *
+ * Usage: node dnr_emulator.js test-url <url> [--initiator <url>] [--type <resourceType>] [--allow-domain <domain>] [--rules <file>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+// ES module shared with the service worker - require() of it needs Node 20.19+
+const { firstRuleId } = require('./js/rule_id_allocator.js');
+
+// Chrome breaks priority ties by action, in this order
+const ACTION_RANKS = {
+    allow: 5,
+    allowAllRequests: 4,
+    block: 3,
+    upgradeScheme: 2,
+    redirect: 1
+};
+
+// Rules without resource type conditions match every type except main_frame
+const DEFAULT_EXCLUDED_TYPES = ['main_frame'];
+
+// Same resource types as the allowlist rules in background.js
+const ALL_RESOURCE_TYPES = [
+    'main_frame', 'sub_frame', 'stylesheet', 'script', 'image', 'font',
+    'object', 'xmlhttprequest', 'ping', 'csp_report', 'media', 'websocket', 'other'
+];
+
+// Priority of the per-domain allowlist rules in background.js
+const ALLOWLIST_PRIORITY = 100000;
+
+
+// Multi-label public suffixes for the first/third-party check - without the full Public Suffix List
+// example.co.uk and other.co.uk would otherwise count as the same site
+const MULTI_LABEL_SUFFIXES = new Set([
+    'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'com.au', 'net.au', 'org.au', 'co.jp', 'ne.jp', 'or.jp',
+    'com.br', 'com.cn', 'com.mx', 'com.tr', 'co.nz', 'co.za', 'co.in', 'co.kr', 'com.sg', 'com.hk'
+]);
+
+// Placeholder host for extensionPath redirects
+const EXTENSION_ORIGIN = 'chrome-extension://pagy-blocker';
+
+/**
+ * Translate a DNR urlFilter into a RegExp
+ * `||` anchors to the host or a subdomain, `|` to the start or end, `*` is a wildcard and
+ * `^` matches a separator character or the end of the URL
+ * @param {string} urlFilter - DNR urlFilter
+ * @param {boolean} caseSensitive - isUrlFilterCaseSensitive
+ * @returns {RegExp} Equivalent regular expression
+ */
+function compileUrlFilter(urlFilter, caseSensitive) {
+    let pattern = urlFilter;
+    let prefix = '';
+    let suffix = '';
+    
+    if (pattern.startsWith('||')) {
+        prefix = '^[a-z][a-z0-9+.-]*:\\/\\/(?:[^\\/?#]*\\.)?';
+        pattern = pattern.substring(2);
+    } else if (pattern.startsWith('|')) {
+        prefix = '^';
+        pattern = pattern.substring(1);
+    }
+    
+    if (pattern.endsWith('|')) {
+        suffix = '$';
+        pattern = pattern.substring(0, pattern.length - 1);
+    }
+    
+    const body = [...pattern].map(char => {
+        if (char === '*') return '.*';
+        if (char === '^') return '(?:[^a-zA-Z0-9_.%-]|$)';
+        return char.replace(/[.+?${}()|[\]\\/]/g, '\\$&');
+    }).join('');
+    
+    return new RegExp(prefix + body + suffix, caseSensitive ? '' : 'i');
+}
+
+/**
+ * Whether a hostname is one of the domains or a subdomain of one
+ * @param {string} hostname - Lowercase hostname
+ * @param {Array<string>} domains - Rule domains
+ * @returns {boolean} Match
+ */
+function matchesDomainList(hostname, domains) {
+    return domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+}
+
+/**
+ * Registrable domain (eTLD+1) of a hostname, approximated with MULTI_LABEL_SUFFIXES
+ * @param {string} hostname - Lowercase hostname
+ * @returns {string} Registrable domain
+ */
+function registrableDomain(hostname) {
+    const labels = hostname.split('.');
+    const suffixLength = labels.length > 2 && MULTI_LABEL_SUFFIXES.has(labels.slice(-2).join('.')) ? 3 : 2;
+    return labels.slice(-suffixLength).join('.');
+}
+
+/**
+ * Prepare rulesets for repeated evaluation
+ * @param {Array<Object>} rulesets - { id, rules } in precedence order for equal priorities (session, dynamic, static)
+ * @returns {Object} Matcher for evaluateRequest
+ */
+function createMatcher(rulesets) {
+    const entries = [];
+    
+    rulesets.forEach((ruleset, rulesetIndex) => {
+        for (const rule of ruleset.rules) {
+            const condition = rule.condition || {};
+            const caseSensitive = condition.isUrlFilterCaseSensitive === true;
+            entries.push({
+                rule,
+                rulesetId: ruleset.id,
+                rulesetIndex,
+                priority: rule.priority || 1,
+                urlPattern: condition.urlFilter ? compileUrlFilter(condition.urlFilter, caseSensitive) : null,
+                regexPattern: condition.regexFilter ? new RegExp(condition.regexFilter, caseSensitive ? '' : 'i') : null
+            });
+        }
+    });
+    
+    return { entries };
+}
+
+/**
+ * Check every rule condition except the action-specific ones
+ * @param {Object} entry - Matcher entry
+ * @param {Object} request - Normalized request
+ * @returns {boolean} Whether the rule matches
+ */
+function matchesCondition(entry, request) {
+    const condition = entry.rule.condition || {};
+    
+    if (condition.resourceTypes ? !condition.resourceTypes.includes(request.type) :
+        (condition.excludedResourceTypes || DEFAULT_EXCLUDED_TYPES).includes(request.type)) {
+        return false;
+    }
+    if (condition.requestMethods && !condition.requestMethods.includes(request.method)) return false;
+    if (condition.excludedRequestMethods && condition.excludedRequestMethods.includes(request.method)) return false;
+    if (condition.tabIds && !condition.tabIds.includes(request.tabId)) return false;
+    if (condition.excludedTabIds && condition.excludedTabIds.includes(request.tabId)) return false;
+    
+    if (condition.requestDomains && !matchesDomainList(request.hostname, condition.requestDomains)) return false;
+    if (condition.excludedRequestDomains && matchesDomainList(request.hostname, condition.excludedRequestDomains)) return false;
+    
+    // Browser-initiated requests have no initiator and never match initiatorDomains
+    if (condition.initiatorDomains && !(request.initiatorHostname && matchesDomainList(request.initiatorHostname, condition.initiatorDomains))) return false;
+    if (condition.excludedInitiatorDomains && request.initiatorHostname && matchesDomainList(request.initiatorHostname, condition.excludedInitiatorDomains)) return false;
+    
+    if (condition.domainType) {
+        const thirdParty = Boolean(request.initiatorHostname) &&
+            registrableDomain(request.initiatorHostname) !== registrableDomain(request.hostname);
+        if ((condition.domainType === 'thirdParty') !== thirdParty) return false;
+    }
+    
+    if (entry.urlPattern && !entry.urlPattern.test(request.url)) return false;
+    if (entry.regexPattern && !entry.regexPattern.test(request.url)) return false;
+    
+    return true;
+}
+
+/**
+ * Order of two candidate rules: priority, then action, then ruleset precedence
+ * @returns {number} Negative when a wins
+ */
+function compareCandidates(a, b) {
+    return (b.priority - a.priority) ||
+        (ACTION_RANKS[b.rule.action.type] - ACTION_RANKS[a.rule.action.type]) ||
+        (a.rulesetIndex - b.rulesetIndex);
+}
+
+/**
+ * URL a redirect action sends the request to
+ * @param {string} url - Request URL
+ * @param {Object} redirect - DNR redirect action
+ * @returns {string} Target URL
+ */
+function applyRedirect(url, redirect) {
+    if (redirect.url) return redirect.url;
+    if (redirect.extensionPath) return EXTENSION_ORIGIN + redirect.extensionPath;
+    
+    const target = new URL(url);
+    const transform = redirect.transform || {};
+    
+    if (transform.query !== undefined) {
+        target.search = transform.query;
+    }
+    if (transform.queryTransform && transform.queryTransform.removeParams) {
+        transform.queryTransform.removeParams.forEach(param => target.searchParams.delete(param));
+    }
+    
+    return target.href;
+}
+
+/**
+ * Evaluate one request the way Chrome would
+ * @param {Object} matcher - From createMatcher
+ * @param {Object} request - { url, initiator?, type?, method?, tabId?, frameUrl? }
+ * @returns {Object} { action, rule, rulesetId, blocked, redirectUrl, modifyHeaders, matchedRules }
+ */
+function evaluateRequest(matcher, request) {
+    const url = new URL(request.url);
+    const initiator = request.initiator ? new URL(request.initiator) : null;
+    const normalized = {
+        url: url.href,
+        hostname: url.hostname.toLowerCase(),
+        initiatorHostname: initiator ? initiator.hostname.toLowerCase() : null,
+        type: request.type || (initiator ? 'other' : 'main_frame'),
+        method: (request.method || 'get').toLowerCase(),
+        tabId: request.tabId === undefined ? -1 : request.tabId
+    };
+    
+    const matched = matcher.entries.filter(entry => matchesCondition(entry, normalized));
+    
+    // allowAllRequests on the frame's document also covers every subresource it loads
+    const frameUrl = request.frameUrl || (request.initiator && !['main_frame', 'sub_frame'].includes(normalized.type) ? initiator.origin + '/' : null);
+    if (frameUrl) {
+        const frame = new URL(frameUrl);
+        const frameRequest = { ...normalized, url: frame.href, hostname: frame.hostname.toLowerCase(), initiatorHostname: null, type: 'main_frame' };
+        matcher.entries
+            .filter(entry => entry.rule.action.type === 'allowAllRequests' && matchesCondition(entry, frameRequest))
+            .forEach(entry => {
+                if (!matched.includes(entry)) matched.push(entry);
+            });
+    }
+    
+    // A redirect that leaves the URL as it is (no tracking parameter to remove) does nothing and is skipped
+    const candidates = matched
+        .filter(entry => entry.rule.action.type !== 'modifyHeaders')
+        .filter(entry => entry.rule.action.type !== 'redirect' || applyRedirect(normalized.url, entry.rule.action.redirect) !== normalized.url)
+        .sort(compareCandidates);
+    const winner = candidates[0] || null;
+    const action = winner ? winner.rule.action.type : null;
+    const allowed = action === 'allow' || action === 'allowAllRequests';
+    
+    // Header changes only apply to requests that go through, and must outrank a matching allow rule
+    const modifyHeaders = action === 'block' || action === 'redirect' ? [] : matched
+        .filter(entry => entry.rule.action.type === 'modifyHeaders' && (!allowed || entry.priority > winner.priority))
+        .map(entry => ({ ruleId: entry.rule.id, rulesetId: entry.rulesetId, requestHeaders: entry.rule.action.requestHeaders, responseHeaders: entry.rule.action.responseHeaders }));
+    
+    return {
+        action,
+        rule: winner ? winner.rule : null,
+        rulesetId: winner ? winner.rulesetId : null,
+        blocked: action === 'block',
+        redirectUrl: action === 'redirect' ? applyRedirect(normalized.url, winner.rule.action.redirect) : null,
+        modifyHeaders,
+        matchedRules: matched.map(entry => ({ ruleId: entry.rule.id, rulesetId: entry.rulesetId, action: entry.rule.action.type, priority: entry.priority }))
+    };
+}
+
+/**
+ * The dynamic allow rules background.js adds when blocking is disabled for a domain
+ * (see allowRegelnFuerDomain - both must stay in sync)
+ * @param {string} domain - Disabled domain
+ * @param {number} index - Position of the domain in the allowlist
+ * @returns {Array<Object>} Dynamic rules
+ */
+function buildDomainAllowRules(domain, index = 0) {
+    // The first IDs the allocator hands out in the allowlist range, two per domain
+    const ruleId = firstRuleId('allowlist') + index * 2;
+    return [
+        { id: ruleId, priority: ALLOWLIST_PRIORITY, action: { type: 'allow' }, condition: { initiatorDomains: [domain], resourceTypes: ALL_RESOURCE_TYPES } },
+        { id: ruleId + 1, priority: ALLOWLIST_PRIORITY, action: { type: 'allow' }, condition: { requestDomains: [domain], resourceTypes: ALL_RESOURCE_TYPES } }
+    ];
+}
+
+/**
+ * Load the rulesets the manifest enables by default
+ * @param {string} rootDir - Extension directory
+ * @returns {Array<Object>} { id, rules } per enabled ruleset
+ */
+function loadManifestRulesets(rootDir = __dirname) {
+    const manifest = JSON.parse(fs.readFileSync(path.join(rootDir, 'manifest.json'), 'utf8'));
+    const resources = (manifest.declarative_net_request && manifest.declarative_net_request.rule_resources) || [];
+    
+    return resources
+        .filter(resource => resource.enabled)
+        .map(resource => ({
+            id: resource.id,
+            rules: JSON.parse(fs.readFileSync(path.join(rootDir, resource.path), 'utf8'))
+        }));
+}
+
+/**
+ * One-line summary of a rule for console output
+ * @param {Object} rule - DNR rule
+ * @returns {string} Summary
+ */
+function describeRule(rule) {
+    const condition = rule.condition || {};
+    const parts = [];
+    
+    if (condition.urlFilter) parts.push(`urlFilter ${condition.urlFilter}`);
+    if (condition.regexFilter) parts.push(`regexFilter /${condition.regexFilter}/`);
+    if (condition.requestDomains) {
+        const shown = condition.requestDomains.slice(0, 3).join(', ');
+        parts.push(`requestDomains ${shown}${condition.requestDomains.length > 3 ? `, ... (${condition.requestDomains.length})` : ''}`);
+    }
+    if (condition.initiatorDomains) parts.push(`initiatorDomains ${condition.initiatorDomains.join(', ')}`);
+    if (condition.domainType) parts.push(condition.domainType);
+    
+    return parts.join(', ') || 'matches every URL';
+}
+
+/**
+ * Parse test-url arguments
+ * @param {Array<string>} args - Arguments after the command
+ * @returns {Object} Parsed arguments
+ */
+function parseArgs(args) {
+    const options = { url: null, initiator: null, type: null, allowDomains: [], rules: [] };
+    
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--initiator') {
+            options.initiator = args[++i];
+        } else if (arg === '--type') {
+            options.type = args[++i];
+        } else if (arg === '--allow-domain') {
+            options.allowDomains.push(args[++i]);
+        } else if (arg === '--rules') {
+            options.rules.push(args[++i]);
+        } else if (!options.url) {
+            options.url = arg;
+        }
+    }
+    
+    return options;
+}
+
+/**
+ * test-url command: print which rule decides a request
+ */
+function main() {
+    const [command, ...args] = process.argv.slice(2);
+    const options = parseArgs(args);
+    
+    if (command !== 'test-url' || !options.url) {
+        console.log('Usage: node dnr_emulator.js test-url <url> [options]');
+        console.log('Options:');
+        console.log('  --initiator <url>      Page that makes the request (default: none, a navigation)');
+        console.log('  --type <resourceType>  script, image, xmlhttprequest, ... (default: main_frame without initiator, other with)');
+        console.log('  --allow-domain <name>  Add the allowlist rules of a domain the user disabled blocking for, repeatable');
+        console.log('  --rules <file>         Evaluate this ruleset instead of the manifest\'s enabled rulesets, repeatable');
+        process.exit(command === 'test-url' ? 1 : 0);
+    }
+    
+    try {
+        const staticRulesets = options.rules.length > 0 ?
+            options.rules.map(file => ({ id: path.basename(file, '.json'), rules: JSON.parse(fs.readFileSync(file, 'utf8')) })) :
+            loadManifestRulesets();
+        // Dynamic rules come before static ones, they win ties
+        const rulesets = [
+            { id: '_dynamic', rules: options.allowDomains.flatMap((domain, index) => buildDomainAllowRules(domain, index)) },
+            ...staticRulesets
+        ];
+        
+        const result = evaluateRequest(createMatcher(rulesets), options);
+        const type = options.type || (options.initiator ? 'other' : 'main_frame');
+        
+        console.log(`🔎 ${options.url} (${type}${options.initiator ? `, initiator ${options.initiator}` : ''})`);
+        
+        if (!result.rule) {
+            console.log('✅ No rule matches, the request goes through');
+        } else {
+            const icons = { block: '🚫', allow: '✅', allowAllRequests: '✅', redirect: '↪️', upgradeScheme: '🔒' };
+            console.log(`${icons[result.action] || '•'} ${result.action.toUpperCase()} by rule ${result.rule.id} in ${result.rulesetId} (priority ${result.rule.priority || 1}): ${describeRule(result.rule)}`);
+            if (result.redirectUrl) {
+                console.log(`   → ${result.redirectUrl}`);
+            }
+        }
+        
+        result.modifyHeaders.forEach(change => {
+            const headers = [...(change.requestHeaders || []), ...(change.responseHeaders || [])]
+                .map(header => `${header.operation} ${header.header}`);
+            console.log(`📝 modifyHeaders by rule ${change.ruleId} in ${change.rulesetId}: ${headers.join(', ')}`);
+        });
+        
+        if (result.matchedRules.length > 1) {
+            console.log(`   ${result.matchedRules.length} rules matched: ${result.matchedRules.map(match => `${match.rulesetId}#${match.ruleId} ${match.action}@${match.priority}`).join(', ')}`);
+        }
+    } catch (error) {
+        console.error('❌ test-url failed:', error.message);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    compileUrlFilter,
+    registrableDomain,
+    createMatcher,
+    evaluateRequest,
+    buildDomainAllowRules,
+    loadManifestRulesets,
+    describeRule
+};
@@ -0,0 +1,183 @@
+/**
+ * Pagy Blocker - Filter diff
+ * Compares two builds filter by filter, so a list update can be reviewed before its rulesets ship.
+ * Batched requestDomains rules are split back into one entry per domain.
+ */
+
+// Condition fields that change what a rule does besides the URL it targets
+const DETAIL_FIELDS = ['domainType', 'resourceTypes', 'initiatorDomains', 'excludedInitiatorDomains', 'isUrlFilterCaseSensitive'];
+
+// `||example.com^` is the single-filter form of a requestDomains entry
+const DOMAIN_URL_FILTER = /^\|\|([a-z0-9.-]+)\^$/i;
+
+/**
+ * What a rule matches: one target per requestDomains entry, otherwise its URL pattern
+ * @param {Object} rule - DNR rule
+ * @returns {Array<string>} Targets
+ */
+function ruleTargets(rule) {
+    const condition = rule.condition;
+    
+    if (condition.requestDomains) {
+        return condition.requestDomains;
+    }
+    if (condition.regexFilter) {
+        return [`/${condition.regexFilter}/`];
+    }
+    
+    const domainMatch = DOMAIN_URL_FILTER.exec(condition.urlFilter || '');
+    return [domainMatch ? domainMatch[1].toLowerCase() : (condition.urlFilter || '*')];
+}
+
+/**
+ * Everything but the target that decides what a rule does
+ * @param {Object} rule - DNR rule
+ * @returns {Object} Detail fields present on the rule
+ */
+function ruleDetails(rule) {
+    const details = { priority: rule.priority };
+    if (rule.action.redirect) details.redirect = rule.action.redirect;
+    if (rule.action.requestHeaders) details.requestHeaders = rule.action.requestHeaders;
+    if (rule.action.responseHeaders) details.responseHeaders = rule.action.responseHeaders;
+    for (const field of DETAIL_FIELDS) {
+        if (rule.condition[field] !== undefined) details[field] = rule.condition[field];
+    }
+    return details;
+}
+
+/**
+ * Flatten rulesets into diff entries keyed by action and target
+ * @param {Array<Object>} rulesets - { category, rules, ruleLines?, ruleFiles? }, line info is optional
+ * @returns {Map<string, Object>} Entries by key
+ */
+function collectDiffEntries(rulesets) {
+    const entries = new Map();
+    
+    for (const ruleset of rulesets) {
+        ruleset.rules.forEach((rule, index) => {
+            const lines = ruleset.ruleLines ? ruleset.ruleLines[index] : [];
+            const details = ruleDetails(rule);
+            
+            ruleTargets(rule).forEach((target, targetIndex) => {
+                const baseKey = `${rule.action.type} ${target}`;
+                let key = baseKey;
+                // The same target twice (e.g. in two lists) is kept apart instead of overwritten
+                for (let occurrence = 2; entries.has(key); occurrence++) {
+                    key = `${baseKey} #${occurrence}`;
+                }
+                
+                entries.set(key, {
+                    key,
+                    action: rule.action.type,
+                    target,
+                    category: ruleset.category.id,
+                    categoryName: ruleset.category.name,
+                    file: ruleset.ruleFiles ? ruleset.ruleFiles[index] : null,
+                    line: lines[targetIndex] !== undefined ? lines[targetIndex] : null,
+                    details
+                });
+            });
+        });
+    }
+    
+    return entries;
+}
+
+/**
+ * Compare two builds
+ * @param {Array<Object>} oldRulesets - Rulesets of the previous build
+ * @param {Array<Object>} newRulesets - Rulesets of the new build
+ * @returns {Object} { summary, added, removed, modified } - JSON-safe report
+ */
+function diffBuilds(oldRulesets, newRulesets) {
+    const oldEntries = collectDiffEntries(oldRulesets);
+    const newEntries = collectDiffEntries(newRulesets);
+    const added = [];
+    const removed = [];
+    const modified = [];
+    let unchanged = 0;
+    
+    for (const [key, entry] of newEntries) {
+        const previous = oldEntries.get(key);
+        if (!previous) {
+            added.push(entry);
+            continue;
+        }
+        
+        // A moved line alone is not a change, the compiled rule stays the same
+        const changes = Object.keys({ ...previous.details, ...entry.details })
+            .filter(field => JSON.stringify(previous.details[field]) !== JSON.stringify(entry.details[field]));
+        if (previous.category !== entry.category) changes.unshift('category');
+        
+        if (changes.length === 0) {
+            unchanged++;
+        } else {
+            modified.push({
+                key,
+                action: entry.action,
+                target: entry.target,
+                changes,
+                before: { category: previous.category, categoryName: previous.categoryName, file: previous.file, line: previous.line, details: previous.details },
+                after: { category: entry.category, categoryName: entry.categoryName, file: entry.file, line: entry.line, details: entry.details }
+            });
+        }
+    }
+    
+    for (const [key, entry] of oldEntries) {
+        if (!newEntries.has(key)) removed.push(entry);
+    }
+    
+    return {
+        summary: { added: added.length, removed: removed.length, modified: modified.length, unchanged },
+        added,
+        removed,
+        modified
+    };
+}
+
+/**
+ * Where an entry comes from, for the text report
+ * @param {Object} entry - Entry or before/after side of a modification
+ * @returns {string} e.g. `[Tracking & Analytics] filter_lists/list.txt:42`
+ */
+function describeLocation(entry) {
+    const location = entry.line === null ? '' : ` ${entry.file ? `${entry.file}:` : 'line '}${entry.line}`;
+    return `[${entry.categoryName}]${location}`;
+}
+
+/**
+ * Human-readable version of a diffBuilds report
+ * @param {Object} diff - Report from diffBuilds
+ * @param {Object} labels - { from, to } names of the compared builds
+ * @param {number} maxEntries - Entries listed per section, the rest is only counted
+ * @returns {string} Multi-line report
+ */
+function formatDiffReport(diff, labels = {}, maxEntries = Infinity) {
+    const lines = [];
+    const { summary } = diff;
+    
+    lines.push(`📋 Filter diff: ${labels.from || 'old'} → ${labels.to || 'new'}`);
+    lines.push(`   +${summary.added} added, -${summary.removed} removed, ~${summary.modified} modified, ${summary.unchanged} unchanged`);
+    
+    const section = (title, entries, describe) => {
+        if (entries.length === 0) return;
+        lines.push('', `${title}:`);
+        entries.slice(0, maxEntries).forEach(entry => lines.push(describe(entry)));
+        if (entries.length > maxEntries) {
+            lines.push(`  ... and ${entries.length - maxEntries} more`);
+        }
+    };
+    
+    section('Added', diff.added, entry => `  + ${entry.action} ${entry.target} ${describeLocation(entry)}`);
+    section('Removed', diff.removed, entry => `  - ${entry.action} ${entry.target} ${describeLocation(entry)}`);
+    section('Modified', diff.modified, entry =>
+        `  ~ ${entry.action} ${entry.target} ${describeLocation(entry.before)} → ${describeLocation(entry.after)} (${entry.changes.join(', ')})`);
+    
+    return lines.join('\n');
+}
+
+module.exports = {
+    collectDiffEntries,
+    diffBuilds,
+    formatDiffReport
+};
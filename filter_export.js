@@ -0,0 +1,338 @@
+/**
+ * Pagy Blocker - Filter exporters
+ * Writes the parsed rule model as a hosts file, a uBlock Origin static list and Safari content-blocker JSON,
+ * so DNS filtering and Safari profiles are built from the same lists as the extension.
+ */
+
+const EXPORT_FORMATS = {
+    hosts: 'hosts.txt',
+    ublock: 'ublock.txt',
+    safari: 'safari.json'
+};
+
+// Address hosts entries point to - the same one the hosts parser treats as blocking
+const HOSTS_BLOCK_ADDRESS = '0.0.0.0';
+
+// Safari refuses content blockers with more rules than this
+const SAFARI_MAX_RULES = 150000;
+
+// Selectors per css-display-none rule, Safari parses long selector lists faster than many rules
+const SAFARI_SELECTORS_PER_RULE = 250;
+
+// DNR resource types and their closest Safari resource-type
+const SAFARI_RESOURCE_TYPES = {
+    main_frame: 'document',
+    sub_frame: 'document',
+    stylesheet: 'style-sheet',
+    script: 'script',
+    image: 'image',
+    font: 'font',
+    media: 'media',
+    object: 'raw',
+    xmlhttprequest: 'raw',
+    ping: 'raw',
+    csp_report: 'raw',
+    websocket: 'raw',
+    other: 'raw'
+};
+
+// `^` in ABP patterns: any character that cannot be part of a hostname or path segment
+const SAFARI_SEPARATOR = '[/:?&=]';
+
+/**
+ * Header lines shared by the text exports
+ * @param {string} comment - Comment prefix of the target format
+ * @param {string} title - List title
+ * @param {Object} info - { version, sources }
+ * @returns {Array<string>} Header lines
+ */
+function exportHeader(comment, title, info) {
+    return [
+        `${comment} Title: ${title}`,
+        `${comment} Version: ${info.version}`,
+        `${comment} Generated from: ${info.sources.join(', ')}`
+    ];
+}
+
+/**
+ * Group filters by category, keeping the order in which categories first appear
+ * @param {Array<Object>} filters - Parsed network filters with category
+ * @returns {Array<Object>} { category, filters }
+ */
+function groupByCategory(filters) {
+    const groups = new Map();
+    for (const filter of filters) {
+        if (!groups.has(filter.category.id)) {
+            groups.set(filter.category.id, { category: filter.category, filters: [] });
+        }
+        groups.get(filter.category.id).filters.push(filter);
+    }
+    return [...groups.values()];
+}
+
+/**
+ * Whether a filter applies to every request to its domain - the only kind DNS filtering can express
+ * @param {Object} filter - Parsed network filter
+ * @returns {boolean} Whether the filter is domain-wide
+ */
+function isDomainWide(filter) {
+    return Boolean(filter.domain) &&
+        !filter.domainType &&
+        !filter.resourceTypes &&
+        !filter.initiatorDomains &&
+        !filter.excludedInitiatorDomains;
+}
+
+/**
+ * Hosts file with every domain-wide block filter; domains with a domain-wide exception are left out
+ * Hosts entries only match the exact hostname, subdomains need entries of their own.
+ * @param {Array<Object>} filters - Parsed network filters
+ * @param {Object} info - { version, sources }
+ * @returns {Object} { content, exported, skipped }
+ */
+function exportHosts(filters, info) {
+    const allowed = new Set(filters
+        .filter(filter => filter.action === 'allow' && isDomainWide(filter))
+        .map(filter => filter.domain));
+    // `@@||example.com^` also covers its subdomains
+    const isAllowed = domain => {
+        if (allowed.has(domain)) return true;
+        for (let dot = domain.indexOf('.'); dot !== -1; dot = domain.indexOf('.', dot + 1)) {
+            if (allowed.has(domain.substring(dot + 1))) return true;
+        }
+        return false;
+    };
+    
+    const lines = exportHeader('#', 'Pagy Blocker (hosts)', info);
+    const written = new Set();
+    let skipped = 0;
+    
+    for (const { category, filters: categoryFilters } of groupByCategory(filters)) {
+        const domains = [];
+        for (const filter of categoryFilters) {
+            if (filter.action === 'allow' || filter.action === 'allowAllRequests') continue;
+            if (filter.action !== 'block' || !isDomainWide(filter) || isAllowed(filter.domain)) {
+                skipped++;
+                continue;
+            }
+            if (written.has(filter.domain)) continue;
+            written.add(filter.domain);
+            domains.push(filter.domain);
+        }
+        
+        if (domains.length === 0) continue;
+        lines.push('', `# === ${category.name} ===`);
+        domains.forEach(domain => lines.push(`${HOSTS_BLOCK_ADDRESS} ${domain}`));
+    }
+    
+    return { content: lines.join('\n') + '\n', exported: written.size, skipped };
+}
+
+/**
+ * uBlock Origin static filter list with one section per category
+ * Filters keep their original text, uBO reads ABP syntax and the redirect/removeparam/csp options as they are.
+ * @param {Array<Object>} filters - Parsed network filters
+ * @param {Array<Object>} cosmeticFilters - Parsed cosmetic filters
+ * @param {Object} info - { version, sources }
+ * @returns {Object} { content, exported, skipped }
+ */
+function exportUblock(filters, cosmeticFilters, info) {
+    const lines = ['[Adblock Plus 2.0]', ...exportHeader('!', 'Pagy Blocker', info)];
+    const written = new Set();
+    
+    for (const { category, filters: categoryFilters } of groupByCategory(filters)) {
+        lines.push('', `! === ${category.name} ===`);
+        for (const filter of categoryFilters) {
+            if (written.has(filter.text)) continue;
+            written.add(filter.text);
+            lines.push(filter.text);
+        }
+    }
+    
+    const cosmeticLines = [...new Set(cosmeticFilters.map(filter => filter.text))];
+    if (cosmeticLines.length > 0) {
+        lines.push('', '! Element hiding', ...cosmeticLines);
+    }
+    
+    return { content: lines.join('\n') + '\n', exported: written.size + cosmeticLines.length, skipped: 0 };
+}
+
+/**
+ * Translate a DNR urlFilter into a Safari url-filter regex
+ * @param {string} urlFilter - ABP-style pattern, empty for every URL
+ * @returns {string} Regex in the subset Safari supports (no alternation, no quantifier ranges)
+ */
+function urlFilterToSafariRegex(urlFilter) {
+    if (!urlFilter) return '.*';
+    
+    let pattern = urlFilter;
+    let prefix = '';
+    let suffix = '';
+    
+    if (pattern.startsWith('||')) {
+        prefix = '^[^:]+://+([^:/]+\\.)?';
+        pattern = pattern.substring(2);
+    } else if (pattern.startsWith('|')) {
+        prefix = '^';
+        pattern = pattern.substring(1);
+    }
+    
+    if (pattern.endsWith('|')) {
+        suffix = '$';
+        pattern = pattern.slice(0, -1);
+    } else if (pattern.endsWith('^')) {
+        // A trailing separator also matches the end of the URL
+        suffix = `(${SAFARI_SEPARATOR}.*)?$`;
+        pattern = pattern.slice(0, -1);
+    }
+    
+    const body = pattern.split('').map(char => {
+        if (char === '*') return '.*';
+        if (char === '^') return SAFARI_SEPARATOR;
+        return /[.+?$(){}[\]\\|]/.test(char) ? `\\${char}` : char;
+    }).join('');
+    
+    return prefix + body + suffix;
+}
+
+/**
+ * Whether a regexFilter only uses what Safari's url-filter understands
+ * @param {string} source - Regex source
+ * @returns {boolean} Whether it can be exported unchanged
+ */
+function isSafariCompatibleRegex(source) {
+    return !/[|{}]/.test(source) && !/\\[a-zA-Z]/.test(source);
+}
+
+/**
+ * Safari trigger for a parsed network filter
+ * @param {Object} filter - Parsed network filter
+ * @returns {Object|null} Trigger, null when Safari cannot express the condition
+ */
+function safariTrigger(filter) {
+    // Safari allows if-domain or unless-domain in one trigger, not both
+    if (filter.initiatorDomains && filter.excludedInitiatorDomains) return null;
+    if (filter.regexFilter && !isSafariCompatibleRegex(filter.regexFilter)) return null;
+    
+    const trigger = { 'url-filter': filter.regexFilter || urlFilterToSafariRegex(filter.urlFilter) };
+    if (filter.isUrlFilterCaseSensitive) trigger['url-filter-is-case-sensitive'] = true;
+    if (filter.resourceTypes) {
+        trigger['resource-type'] = [...new Set(filter.resourceTypes.map(type => SAFARI_RESOURCE_TYPES[type]))];
+    }
+    if (filter.domainType) {
+        trigger['load-type'] = [filter.domainType === 'thirdParty' ? 'third-party' : 'first-party'];
+    }
+    // `*` includes subdomains, like initiatorDomains does
+    if (filter.initiatorDomains) trigger['if-domain'] = filter.initiatorDomains.map(domain => `*${domain}`);
+    if (filter.excludedInitiatorDomains) trigger['unless-domain'] = filter.excludedInitiatorDomains.map(domain => `*${domain}`);
+    
+    return trigger;
+}
+
+/**
+ * Safari content-blocker rules
+ * Blocking and hiding come first, exceptions last - Safari applies ignore-previous-rules in list order.
+ * Removeparam and header filters have no Safari action and are skipped, surrogate redirects become blocks.
+ * @param {Array<Object>} filters - Parsed network filters
+ * @param {Object} cosmetic - Compiled cosmetic rules { generic, specific, exceptions }
+ * @returns {Object} { content, exported, skipped }
+ */
+function exportSafari(filters, cosmetic) {
+    const blocking = [];
+    const exceptions = [];
+    const seen = new Set();
+    let skipped = 0;
+    
+    for (const filter of filters) {
+        const surrogate = filter.action === 'redirect' && filter.redirect.extensionPath;
+        if (filter.action !== 'block' && filter.action !== 'allow' && filter.action !== 'allowAllRequests' && !surrogate) {
+            skipped++;
+            continue;
+        }
+        
+        let rule;
+        if (filter.action === 'allowAllRequests') {
+            // A page exception: nothing is blocked or hidden on the page's domain
+            rule = filter.domain ?
+                { trigger: { 'url-filter': '.*', 'if-domain': [`*${filter.domain}`] }, action: { type: 'ignore-previous-rules' } } :
+                null;
+        } else {
+            const trigger = safariTrigger(filter);
+            rule = trigger && { trigger, action: { type: filter.action === 'allow' ? 'ignore-previous-rules' : 'block' } };
+        }
+        
+        if (!rule) {
+            skipped++;
+            continue;
+        }
+        
+        const key = JSON.stringify(rule);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        (rule.action.type === 'block' ? blocking : exceptions).push(rule);
+    }
+    
+    // Generic selectors with site exceptions get their own rules so unless-domain only affects them
+    const exceptedHosts = new Map();
+    for (const [hostname, selectors] of Object.entries(cosmetic.exceptions)) {
+        for (const selector of selectors) {
+            if (!exceptedHosts.has(selector)) exceptedHosts.set(selector, []);
+            exceptedHosts.get(selector).push(`*${hostname}`);
+        }
+    }
+    
+    const hiding = [];
+    const hide = (selectors, domains) => {
+        for (let i = 0; i < selectors.length; i += SAFARI_SELECTORS_PER_RULE) {
+            hiding.push({
+                trigger: { 'url-filter': '.*', ...domains },
+                action: { type: 'css-display-none', selector: selectors.slice(i, i + SAFARI_SELECTORS_PER_RULE).join(', ') }
+            });
+        }
+    };
+    
+    hide(cosmetic.generic.filter(selector => !exceptedHosts.has(selector)), {});
+    cosmetic.generic
+        .filter(selector => exceptedHosts.has(selector))
+        .forEach(selector => hide([selector], { 'unless-domain': exceptedHosts.get(selector) }));
+    for (const [hostname, selectors] of Object.entries(cosmetic.specific)) {
+        const excepted = cosmetic.exceptions[hostname] || [];
+        hide(selectors.filter(selector => !excepted.includes(selector)), { 'if-domain': [`*${hostname}`] });
+    }
+    
+    const rules = [...blocking, ...hiding, ...exceptions];
+    if (rules.length > SAFARI_MAX_RULES) {
+        console.warn(`⚠️ Safari export has ${rules.length} rules, Safari loads at most ${SAFARI_MAX_RULES}`);
+    }
+    
+    return { content: JSON.stringify(rules, null, 2), exported: rules.length, skipped };
+}
+
+/**
+ * Run one exporter
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Object} model - { filters, cosmeticFilters, cosmetic } of a combined build
+ * @param {Object} info - { version, sources }
+ * @returns {Object} { content, exported, skipped }
+ */
+function exportFilters(format, model, info) {
+    switch (format) {
+        case 'hosts':
+            return exportHosts(model.filters, info);
+        case 'ublock':
+            return exportUblock(model.filters, model.cosmeticFilters, info);
+        case 'safari':
+            return exportSafari(model.filters, model.cosmetic);
+        default:
+            throw new Error(`Unknown export format: ${format} (expected ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+    }
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    exportFilters,
+    exportHosts,
+    exportUblock,
+    exportSafari,
+    urlFilterToSafariRegex
+};
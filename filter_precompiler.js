@@ -7,20 +7,480 @@ const crypto = require('crypto');
 const { pipeline } = require('stream');
 const { promisify } = require('util');
 const pipelineAsync = promisify(pipeline);
+const { diffBuilds, formatDiffReport } = require('./filter_diff');
+const { EXPORT_FORMATS, exportFilters } = require('./filter_export');
+// Network filter syntax lives in js/ so the extension can parse user rules with the same grammar
+const {
+    RESOURCE_TYPE_OPTIONS,
+    COSMETIC_SEPARATOR,
+    HOSTNAME_PATTERN,
+    validateRegexFilter,
+    parseNetworkFilter,
+    buildRule
+} = require('./js/filter_grammar');
 
 // Configuration constants
 const CONFIG = {
     DEFAULT_INPUT_FILE: 'filter_300_balanced.txt',
     DEFAULT_OUTPUT_FILE: 'filter_precompiled.json',
+    DEFAULT_COSMETIC_FILE: 'filter_cosmetic.json',
+    DEFAULT_METADATA_FILE: 'filter_metadata.json',
+    // Committed next to the output so rule IDs stay stable on every machine
+    RULE_ID_FILE: 'rule_ids.json',
+    // Rule ID → list file, line, filter text and category, read by the background worker on demand
+    SOURCE_MAP_FILE: 'filter_sourcemap.json',
+    // Per-list compilation cache, relative to this script (git-ignored)
+    CACHE_FILE: '.cache/precompile_cache.json',
+    RULESETS_DIR: 'rulesets',
+    // hosts/uBlock/Safari exports, next to the output (git-ignored)
+    EXPORT_DIR: 'export',
+    MANIFEST_FILE: 'manifest.json',
+    // Chrome 120+ limits: static rulesets per extension and enabled at the same time
+    MAX_STATIC_RULESETS: 100,
+    MAX_ENABLED_STATIC_RULESETS: 50,
     FILTER_LISTS_DIR: 'filter_lists',
     LARGE_FILE_THRESHOLD_MB: 5,
     MAX_FILTER_LENGTH: 1000,
+    // Chrome caps regexFilter rules per static ruleset (the per-regex memory budget is checked in js/filter_grammar.js)
+    MAX_REGEX_RULES: 1000,
+    // Upper bound for requestDomains per merged rule, keeps single rules reviewable
+    MAX_DOMAINS_PER_RULE: 1000,
+    // Watch mode polls the inputs (editors often replace files, which plain fs.watch loses track of)
+    WATCH_INTERVAL_MS: 500,
+    WATCH_DEBOUNCE_MS: 200,
+    WATCH_DIFF_ENTRIES: 10,
     HASH_SEED: 0x12345678
 };
 
 console.log('🚀 Pagy Blocker - Ultra-Fast Filter Precompiler');
 console.log('================================================');
 
+// Procedural and scriptlet syntax needs a script in the page, a stylesheet cannot express it
+const PROCEDURAL_PSEUDO_CLASSES = [
+    ':has-text(', ':contains(', ':-abp-', ':xpath(', ':style(', ':remove(', ':matches-css',
+    ':upward(', ':min-text-length(', ':watch-attr(', ':matches-path(', ':others('
+];
+
+// Section headers like `! === Social Media Ads (Nur reine Ad-Domains) ===` start a category
+const CATEGORY_HEADER = /^!\s*===\s*(.+?)\s*===\s*$/;
+
+// `! Title: EasyList` style list headers, hosts files write them as `# Title: ...`
+const LIST_HEADER = /^[!#]\s*(Title|Version|Expires|Homepage|Last modified|License)\s*:\s*(.+?)\s*$/i;
+
+// List header name → list descriptor field
+const LIST_HEADER_FIELDS = {
+    'title': 'title',
+    'version': 'version',
+    'expires': 'expires',
+    'homepage': 'homepage',
+    'last modified': 'lastModified',
+    'license': 'license'
+};
+
+// Filters above the first section header
+const DEFAULT_CATEGORY = { id: 'general', name: 'General' };
+
+// Input formats precompileFilterList understands, `auto` picks one per list
+const FILTER_FORMATS = ['auto', 'abp', 'hosts', 'domains'];
+
+// Hosts file addresses that mean "block", other addresses redirect the host and are ignored
+const BLOCKING_HOSTS_ADDRESSES = new Set(['0.0.0.0', '127.0.0.1', '::', '::1']);
+
+// Hostnames every hosts file maps to itself, blocking them would break the machine's own networking
+const LOCAL_HOSTNAMES = new Set([
+    'localhost', 'localhost.localdomain', 'local', 'broadcasthost', 'ip6-localhost',
+    'ip6-loopback', 'ip6-localnet', 'ip6-mcastprefix', 'ip6-allnodes', 'ip6-allrouters', '0.0.0.0'
+]);
+
+// `<IPv4 or IPv6 address> <hostname>`
+const HOSTS_LINE_PATTERN = /^(\d{1,3}(\.\d{1,3}){3}|[0-9a-f]*:[0-9a-f:.]*)\s+\S/i;
+
+// Query parameters stripped from every URL unless disabled with --no-tracking-params.
+// Only names that never carry page state, a generic `campaign` or `ref` would break sites.
+const TRACKING_PARAMETERS = [
+    'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'utm_id',
+    'gclid', 'gclsrc', 'dclid', 'gbraid', 'wbraid', 'fbclid', 'msclkid', 'twclid',
+    'ttclid', 'yclid', 'mc_eid', 'igshid', '_hsenc', '_hsmi', 'mkt_tok', 'oly_enc_id', 'oly_anon_id'
+];
+
+// Virtual source the built-in tracking parameters are compiled from
+const TRACKING_PARAMETERS_FILE = 'builtin/tracking_parameters';
+
+// Number of filter lines detectFilterFormat looks at
+const FORMAT_DETECTION_SAMPLE = 200;
+
+// Options parseNetworkFilter translates - when one of them is reported unsupported, its value was invalid
+const TRANSLATED_OPTIONS = [
+    ...Object.keys(RESOURCE_TYPE_OPTIONS), 'third-party', '3p', 'first-party', '1p', 'domain', 'from',
+    'match-case', 'removeparam', 'queryprune', 'redirect', 'redirect-rule', 'csp', 'removeheader'
+];
+
+// Real uBO/ABP options without a DNR translation, filters using them are dropped on purpose
+const UNTRANSLATABLE_OPTIONS = [
+    'popup', 'popunder', 'important', 'badfilter', 'all', 'empty', 'mp4', 'genericblock', 'generichide', 'ghide',
+    'elemhide', 'ehide', 'specifichide', 'shide', 'inline-script', 'inline-font', 'rewrite', 'replace', 'header',
+    'permissions', 'to', 'denyallow', 'method', 'strict1p', 'strict3p', 'cname', 'webrtc', 'urlskip', 'uritransform',
+    'jsonprune', 'cookie', 'stealth', 'content', 'app', 'network', 'extension', 'jsinject', 'urlblock', 'sitekey'
+];
+
+/**
+ * Everything about a filter except the domain it targets - equal signatures can share one rule
+ * @param {Object} filter - Filter from parseNetworkFilter
+ * @returns {string} Signature key
+ */
+function filterSignature(filter) {
+    const signature = [
+        filter.action,
+        filter.domainType,
+        filter.resourceTypes,
+        filter.initiatorDomains,
+        filter.excludedInitiatorDomains
+    ];
+    // Appended only when set, the signature is part of the rule keys in rule_ids.json
+    if (filter.redirect) signature.push(filter.redirect);
+    if (filter.action === 'modifyHeaders') signature.push(filter.requestHeaders, filter.responseHeaders);
+    return JSON.stringify(signature);
+}
+
+/**
+ * Only one redirect can win per request, so `$removeparam` filters matching the same URLs have to
+ * become one rule that removes all of their parameters
+ * @param {Array<Object>} filters - Parsed network filters in list order
+ * @returns {Array<Object>} Filters with removeparam filters of equal condition combined
+ */
+function mergeRemoveParamFilters(filters) {
+    const merged = new Map();
+    const result = [];
+    
+    for (const filter of filters) {
+        const queryTransform = filter.redirect && filter.redirect.transform && filter.redirect.transform.queryTransform;
+        if (!queryTransform) {
+            result.push(filter);
+            continue;
+        }
+        
+        const conditionKey = JSON.stringify([
+            filter.urlFilter,
+            filter.regexFilter,
+            filter.isUrlFilterCaseSensitive,
+            filter.domainType,
+            filter.resourceTypes,
+            filter.initiatorDomains,
+            filter.excludedInitiatorDomains
+        ]);
+        const target = merged.get(conditionKey);
+        
+        if (!target) {
+            // Copy, the parsed filter may be shared with the cache; sources keeps every merged line for the source map
+            const copy = { ...filter, redirect: { transform: { queryTransform: { removeParams: [...queryTransform.removeParams] } } }, sources: [filter] };
+            merged.set(conditionKey, copy);
+            result.push(copy);
+        } else {
+            const removeParams = target.redirect.transform.queryTransform.removeParams;
+            target.sources.push(filter);
+            queryTransform.removeParams.forEach(param => {
+                if (!removeParams.includes(param)) removeParams.push(param);
+            });
+        }
+    }
+    
+    return result;
+}
+
+/**
+ * Optimization pass: drop `||domain^` filters already covered by a parent domain with the same
+ * signature, then batch the remaining ones into requestDomains rules
+ * @param {Array<Object>} filters - Parsed network filters in list order
+ * @returns {Object} { entries, redundantFilters } - entries are ready for buildRule
+ */
+function optimizeFilters(filters) {
+    filters = mergeRemoveParamFilters(filters);
+    const domainsBySignature = new Map();
+    
+    for (const filter of filters) {
+        if (!filter.domain) continue;
+        const signature = filterSignature(filter);
+        if (!domainsBySignature.has(signature)) domainsBySignature.set(signature, new Set());
+        domainsBySignature.get(signature).add(filter.domain);
+    }
+    
+    // requestDomains matches subdomains too, so cas.criteo.com adds nothing next to criteo.com
+    const isCoveredByParent = (domain, domains) => {
+        for (let dot = domain.indexOf('.'); dot !== -1; dot = domain.indexOf('.', dot + 1)) {
+            if (domains.has(domain.substring(dot + 1))) return true;
+        }
+        return false;
+    };
+    
+    const groups = new Map();
+    const entries = [];
+    let redundantFilters = 0;
+    
+    for (const filter of filters) {
+        if (!filter.domain) {
+            entries.push(filter);
+            continue;
+        }
+        
+        const signature = filterSignature(filter);
+        let group = groups.get(signature);
+        if (!group) {
+            // The group keeps the position of its first filter in the list
+            group = { template: filter, sources: [], domains: new Set() };
+            groups.set(signature, group);
+            entries.push(group);
+        }
+        
+        if (group.domains.has(filter.domain) || isCoveredByParent(filter.domain, domainsBySignature.get(signature))) {
+            redundantFilters++;
+            continue;
+        }
+        
+        group.domains.add(filter.domain);
+        group.sources.push(filter);
+    }
+    
+    const optimized = [];
+    for (const entry of entries) {
+        if (!entry.template) {
+            optimized.push(entry);
+        } else if (entry.sources.length === 1) {
+            optimized.push(entry.sources[0]);
+        } else {
+            for (let i = 0; i < entry.sources.length; i += CONFIG.MAX_DOMAINS_PER_RULE) {
+                const sources = entry.sources.slice(i, i + CONFIG.MAX_DOMAINS_PER_RULE);
+                optimized.push({
+                    ...entry.template,
+                    text: null,
+                    urlFilter: '',
+                    domain: null,
+                    requestDomains: sources.map(source => source.domain),
+                    batch: i / CONFIG.MAX_DOMAINS_PER_RULE,
+                    sources
+                });
+            }
+        }
+    }
+    
+    return { entries: optimized, redundantFilters };
+}
+
+/**
+ * Turn a section header into a category with a ruleset-safe ID
+ * @param {string} title - Header text, e.g. "Video/CTV Advertising"
+ * @returns {Object} { id, name } - e.g. { id: 'video_ctv_advertising', name: 'Video/CTV Advertising' }
+ */
+function parseCategoryHeader(title) {
+    // Parenthesized remarks are notes for list maintainers, not part of the category name
+    const name = title.replace(/\s*\(.*\)\s*$/, '') || title;
+    const id = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || DEFAULT_CATEGORY.id;
+    return { id, name };
+}
+
+/**
+ * Parse an element hiding rule (`domains##selector` or `domains#@#selector`)
+ * @param {string} text - Trimmed filter line
+ * @param {RegExpExecArray} separatorMatch - Match of COSMETIC_SEPARATOR in the line
+ * @returns {Object} Parsed cosmetic filter, or { error } when it cannot be compiled
+ */
+function parseCosmeticFilter(text, separatorMatch) {
+    const separator = separatorMatch[0];
+    const selector = text.substring(separatorMatch.index + separator.length).trim();
+    
+    if (separator !== '##' && separator !== '#@#') {
+        return { error: `Unsupported cosmetic syntax ${separator}` };
+    }
+    
+    // `### Heading` style comments look like an id selector without a name
+    if (!selector || selector.includes('{') || selector.includes('}') || /^#(\s|$)/.test(selector)) {
+        return { error: 'Invalid CSS selector' };
+    }
+    
+    for (const pseudoClass of PROCEDURAL_PSEUDO_CLASSES) {
+        if (selector.includes(pseudoClass)) {
+            return { error: `Procedural selector ${pseudoClass.replace('(', '')} is not supported` };
+        }
+    }
+    
+    const filter = {
+        text,
+        selector,
+        exception: separator === '#@#',
+        domains: [],
+        excludedDomains: []
+    };
+    
+    const domainPart = text.substring(0, separatorMatch.index);
+    if (domainPart.length > 0) {
+        for (const entry of domainPart.split(',')) {
+            const trimmedEntry = entry.trim();
+            const negated = trimmedEntry.startsWith('~');
+            const domain = (negated ? trimmedEntry.substring(1) : trimmedEntry).toLowerCase();
+            
+            if (!HOSTNAME_PATTERN.test(domain)) {
+                return { error: `Invalid cosmetic domain ${trimmedEntry}` };
+            }
+            
+            (negated ? filter.excludedDomains : filter.domains).push(domain);
+        }
+    }
+    
+    // `~example.com#@#.ad` would mean "hide everywhere except...", which is not an exception
+    if (filter.exception && filter.excludedDomains.length > 0) {
+        return { error: 'Negated domains are not supported in cosmetic exceptions' };
+    }
+    
+    return filter;
+}
+
+/**
+ * Collect cosmetic filters into the compact artifact the extension loads at runtime
+ * Generic exceptions are subtracted here, site-specific exceptions are resolved per hostname in the extension
+ * @param {Array<Object>} filters - Filters from parseCosmeticFilter
+ * @returns {Object} { generic, specific, exceptions } keyed by hostname
+ */
+function compileCosmeticFilters(filters) {
+    const generic = new Set();
+    const genericExceptions = new Set();
+    const specific = {};
+    const exceptions = {};
+    
+    const addTo = (target, hostname, selector) => {
+        if (!target[hostname]) target[hostname] = [];
+        if (!target[hostname].includes(selector)) target[hostname].push(selector);
+    };
+    
+    for (const filter of filters) {
+        if (filter.exception) {
+            if (filter.domains.length === 0) {
+                genericExceptions.add(filter.selector);
+            } else {
+                filter.domains.forEach(hostname => addTo(exceptions, hostname, filter.selector));
+            }
+            continue;
+        }
+        
+        if (filter.domains.length === 0) {
+            generic.add(filter.selector);
+        } else {
+            filter.domains.forEach(hostname => addTo(specific, hostname, filter.selector));
+        }
+        
+        // `~b.example.com` carves a hostname out of the rule, same as a site-specific exception
+        filter.excludedDomains.forEach(hostname => addTo(exceptions, hostname, filter.selector));
+    }
+    
+    // A domainless `#@#` exception disables the selector everywhere, including site-specific rules
+    const withoutGenericExceptions = (selectorsByHost) => {
+        const result = {};
+        for (const [hostname, selectors] of Object.entries(selectorsByHost)) {
+            const remaining = selectors.filter(selector => !genericExceptions.has(selector));
+            if (remaining.length > 0) result[hostname] = remaining;
+        }
+        return result;
+    };
+    
+    return {
+        generic: [...generic].filter(selector => !genericExceptions.has(selector)),
+        specific: withoutGenericExceptions(specific),
+        exceptions
+    };
+}
+
+/**
+ * Update interval from an `! Expires: 4 days (update frequency)` header
+ * @param {string} expires - Header value
+ * @returns {number|null} Hours, null if the value is not understood
+ */
+function parseExpiresHeader(expires) {
+    const match = /^(\d+)\s*(day|hour)s?\b/i.exec(expires);
+    if (!match) return null;
+    return match[2].toLowerCase() === 'day' ? Number(match[1]) * 24 : Number(match[1]);
+}
+
+/**
+ * Extract the hostnames a hosts file or plain domain list line blocks
+ * @param {string} text - Trimmed line
+ * @param {string} format - 'hosts' or 'domains'
+ * @returns {Array<string>|null} Lowercase hostnames, null if the line blocks nothing
+ */
+function parseHostsLine(text, format) {
+    // Both formats use `#` comments, also at the end of a line
+    const commentIndex = text.indexOf('#');
+    const content = (commentIndex === -1 ? text : text.substring(0, commentIndex)).trim();
+    if (!content) return null;
+    
+    let hostnames = content.split(/\s+/);
+    if (format === 'hosts') {
+        if (!BLOCKING_HOSTS_ADDRESSES.has(hostnames[0])) return null;
+        hostnames = hostnames.slice(1);
+    } else if (hostnames.length > 1) {
+        return null;
+    }
+    
+    const domains = hostnames
+        // Domain lists sometimes write `*.example.com` or `.example.com` for "and all subdomains"
+        .map(hostname => hostname.replace(/^\*?\./, '').replace(/\.$/, '').toLowerCase())
+        .filter(hostname => hostname.includes('.') && !LOCAL_HOSTNAMES.has(hostname) && HOSTNAME_PATTERN.test(hostname));
+    
+    return domains.length > 0 ? domains : null;
+}
+
+/**
+ * Guess whether a list is ABP syntax, a hosts file or a plain domain list
+ * @param {string} filterText - Raw filter text
+ * @returns {string} 'abp', 'hosts' or 'domains'
+ */
+function detectFilterFormat(filterText) {
+    let hostsLines = 0;
+    let domainLines = 0;
+    let sampled = 0;
+    
+    for (const line of filterText.split('\n', FORMAT_DETECTION_SAMPLE * 5)) {
+        const trimmed = line.trim();
+        // An `[Adblock Plus 2.0]` style header settles it
+        if (trimmed.startsWith('[') && /^\[(adblock|ublock|adguard)/i.test(trimmed)) return 'abp';
+        if (!trimmed || trimmed[0] === '#' || trimmed[0] === '!') continue;
+        
+        // Any address counts here, localhost and redirect entries are part of a hosts file too
+        if (HOSTS_LINE_PATTERN.test(trimmed)) {
+            hostsLines++;
+        } else if (parseHostsLine(trimmed, 'domains')) {
+            domainLines++;
+        }
+        
+        if (++sampled >= FORMAT_DETECTION_SAMPLE) break;
+    }
+    
+    // A bare hostname is also a valid ABP filter, so a list has to be mostly hostnames to count as a domain list
+    if (hostsLines > sampled / 2) return 'hosts';
+    if (domainLines > sampled / 2) return 'domains';
+    return 'abp';
+}
+
+/**
+ * Statistics of a compilation run with every counter at zero
+ * @returns {Object} Empty stats
+ */
+function createEmptyStats() {
+    return {
+        totalLines: 0,
+        processedRules: 0,
+        skippedLines: 0,
+        errors: 0,
+        redundantFilters: 0,
+        exceptionRules: 0,
+        regexRules: 0,
+        removeParamRules: 0,
+        redirectRules: 0,
+        modifyHeadersRules: 0,
+        cosmeticRules: 0,
+        unsupportedOptions: 0,
+        unsupportedOptionCounts: {},
+        rejectedRegexFilters: []
+    };
+}
+
 /**
  * Precompile filter list with input validation and error handling
  * @param {string} filterText - Raw filter text to process
@@ -35,35 +495,48 @@ function precompileFilterList(filterText, options = {}) {
     
     if (filterText.length === 0) {
         console.warn('⚠️ Empty filter text provided');
-        return { rules: [], stats: { totalLines: 0, processedRules: 0, skippedLines: 0, errors: 0 } };
+        return {
+            rules: [],
+            rulesets: [],
+            networkFilters: [],
+            cosmetic: compileCosmeticFilters([]),
+            cosmeticFilters: [],
+            format: 'abp',
+            list: {},
+            stats: createEmptyStats()
+        };
+    }
+    
+    if (options.format && !FILTER_FORMATS.includes(options.format)) {
+        throw new Error(`Unknown filter format: ${options.format}`);
     }
     
-    console.log('🚀 Starting ultra-optimized precompilation...');
+    const format = !options.format || options.format === 'auto' ? detectFilterFormat(filterText) : options.format;
+    
+    console.log(`🚀 Starting ultra-optimized precompilation (${format} format)...`);
     console.time('Precompilation');
     
     const rules = [];
+    const networkFilters = [];
+    const cosmeticFilters = [];
+    // Title, version etc. from the list headers
+    const list = {};
+    const priority = options.priority || 1;
     let ruleId = options.startId || 1;
+    let category = DEFAULT_CATEGORY;
+    let totalLines = 0;
     let processedRules = 0;
     let skippedLines = 0;
     let errors = 0;
-    
-    // Pre-allocated resource types array (avoid repeated array creation)
-    const resourceTypes = [
-        'main_frame', 'sub_frame', 'stylesheet', 'script', 'image', 'font', 
-        'object', 'xmlhttprequest', 'ping', 'csp_report', 'media', 'websocket', 'other'
-    ];
-    
-    // Pre-allocated objects for performance in hot loop
-    const baseAction = { type: 'block' };
-    const ruleTemplate = {
-        id: 0,
-        priority: options.priority || 1,
-        action: baseAction,
-        condition: {
-            urlFilter: '',
-            resourceTypes: resourceTypes
-        }
-    };
+    let exceptionRules = 0;
+    let regexRules = 0;
+    let removeParamRules = 0;
+    let redirectRules = 0;
+    let modifyHeadersRules = 0;
+    let cosmeticRules = 0;
+    let unsupportedOptions = 0;
+    const unsupportedOptionCounts = {};
+    const rejectedRegexFilters = [];
     
     // Ultra-fast line processing without split() overhead
     let lineStart = 0;
@@ -73,6 +546,7 @@ function precompileFilterList(filterText, options = {}) {
         // Find line end efficiently
         let lineEnd = filterText.indexOf('\n', lineStart);
         if (lineEnd === -1) lineEnd = textLength;
+        totalLines++;
         
         // Extract line with minimal allocations
         let line = filterText.substring(lineStart, lineEnd);
@@ -97,67 +571,879 @@ function precompileFilterList(filterText, options = {}) {
             trimmed = line.substring(start, end);
         }
         
-        // Skip empty lines and comments efficiently
-        if (!trimmed || trimmed[0] === '#' || trimmed[0] === '!' || trimmed[0] === '[') {
+        // Element hiding rules may start with `#`, so they are matched before comments
+        const cosmeticMatch = trimmed ? COSMETIC_SEPARATOR.exec(trimmed) : null;
+        
+        const listHeader = trimmed[0] === '!' || trimmed[0] === '#' ? LIST_HEADER.exec(trimmed) : null;
+        
+        // Skip empty lines and comments efficiently, section headers switch the category
+        if (listHeader) {
+            const field = LIST_HEADER_FIELDS[listHeader[1].toLowerCase()];
+            // The first header wins, later ones are usually quoted in comments
+            if (list[field] === undefined) list[field] = listHeader[2];
+            skippedLines++;
+        } else if (!trimmed || trimmed[0] === '!' || trimmed[0] === '[') {
+            const header = trimmed[0] === '!' ? CATEGORY_HEADER.exec(trimmed) : null;
+            if (header) {
+                category = parseCategoryHeader(header[1]);
+            }
+            skippedLines++;
+        } else if (trimmed.length > CONFIG.MAX_FILTER_LENGTH) {
+            skippedLines++;
+        } else if (format !== 'abp') {
+            // Hosts and domain list entries block the host and its subdomains, exactly like `||domain^`
+            const domains = parseHostsLine(trimmed, format);
+            if (!domains) {
+                skippedLines++;
+            }
+            for (const domain of domains || []) {
+                const filter = parseNetworkFilter(`||${domain}^`);
+                filter.line = totalLines;
+                filter.category = category;
+                networkFilters.push(filter);
+                processedRules++;
+            }
+        } else if (cosmeticMatch) {
+            const filter = parseCosmeticFilter(trimmed, cosmeticMatch);
+            if (filter.error) {
+                skippedLines++;
+            } else {
+                cosmeticFilters.push(filter);
+                cosmeticRules++;
+            }
+        } else if (trimmed[0] === '#') {
             skippedLines++;
-        } else if (trimmed.length > 4 && trimmed.startsWith('||') && trimmed.endsWith('^')) {
+        } else {
             try {
-                // Domain extraction with bounds checking
-                const domain = trimmed.substring(2, trimmed.length - 1);
+                const filter = parseNetworkFilter(trimmed);
                 
-                // Enhanced validation
-                if (domain.length === 0 || domain.length > CONFIG.MAX_FILTER_LENGTH) {
+                if (filter.regexFilter && regexRules >= CONFIG.MAX_REGEX_RULES) {
+                    rejectedRegexFilters.push({ line: totalLines, filter: trimmed, reason: `Regex rule limit of ${CONFIG.MAX_REGEX_RULES} reached` });
                     skippedLines++;
-                    continue;
-                }
-                
-                // Fast validation without includes() calls
-                let isValid = true;
-                for (let i = 0; i < domain.length; i++) {
-                    const char = domain[i];
-                    if (char === '*' || char === '/' || char === '\0') {
-                        isValid = false;
-                        break;
+                } else if (filter.error) {
+                    if (filter.regex) {
+                        rejectedRegexFilters.push({ line: totalLines, filter: trimmed, reason: filter.error });
                     }
-                }
-                
-                if (isValid) {
-                    // Optimized rule creation using pre-allocated template
-                    const rule = {
-                        id: ruleId++,
-                        priority: ruleTemplate.priority,
-                        action: baseAction,
-                        condition: {
-                            urlFilter: trimmed,
-                            resourceTypes: resourceTypes
-                        }
-                    };
-                    rules.push(rule);
-                    processedRules++;
-                } else {
                     skippedLines++;
+                } else if (filter.unsupportedOptions.length > 0) {
+                    // Dropping the whole filter is safer than compiling it without the option
+                    for (const option of filter.unsupportedOptions) {
+                        unsupportedOptionCounts[option] = (unsupportedOptionCounts[option] || 0) + 1;
+                    }
+                    unsupportedOptions += filter.unsupportedOptions.length;
+                    skippedLines++;
+                } else {
+                    filter.line = totalLines;
+                    filter.category = category;
+                    networkFilters.push(filter);
+                    processedRules++;
+                    if (filter.action === 'allow' || filter.action === 'allowAllRequests') exceptionRules++;
+                    if (filter.redirect && filter.redirect.transform) removeParamRules++;
+                    if (filter.redirect && filter.redirect.extensionPath) redirectRules++;
+                    if (filter.action === 'modifyHeaders') modifyHeadersRules++;
+                    if (filter.regexFilter) regexRules++;
                 }
             } catch (error) {
                 console.warn(`Error processing line: ${trimmed}`, error.message);
                 errors++;
                 skippedLines++;
             }
-        } else {
-            skippedLines++;
         }
         
         lineStart = lineEnd + 1;
     }
     
+    // Each category becomes its own ruleset, so optimization must not merge across categories
+    const filtersByCategory = new Map();
+    for (const filter of networkFilters) {
+        if (!filtersByCategory.has(filter.category.id)) {
+            filtersByCategory.set(filter.category.id, { category: filter.category, filters: [] });
+        }
+        filtersByCategory.get(filter.category.id).filters.push(filter);
+    }
+    
+    const rulesets = [];
+    let redundantFilters = 0;
+    
+    for (const { category: rulesetCategory, filters } of filtersByCategory.values()) {
+        const optimized = options.optimize === false ?
+            { entries: filters, redundantFilters: 0 } :
+            optimizeFilters(filters);
+        redundantFilters += optimized.redundantFilters;
+        
+        // IDs stay unique across rulesets so the combined output remains a valid ruleset too
+        const rulesetRules = optimized.entries.map(entry => buildRule(entry, ruleId++, priority));
+        rules.push(...rulesetRules);
+        rulesets.push({
+            id: `ruleset_${rulesetCategory.id}`,
+            category: rulesetCategory,
+            filters: filters.length,
+            rules: rulesetRules,
+            // Identity of each rule across builds, used to keep rule IDs stable
+            // Batched domains are identified by their signature, so a batch shrinking to one domain keeps its ID
+            ruleKeys: optimized.entries.map(entry => entry.requestDomains || (entry.domain && options.optimize !== false) ?
+                `${filterSignature(entry)}#${entry.batch || 0}` :
+                entry.text),
+            // Source line and text of every filter behind a rule, in requestDomains order for batched rules
+            ruleLines: optimized.entries.map(entry => (entry.sources || [entry]).map(source => source.line)),
+            ruleTexts: optimized.entries.map(entry => (entry.sources || [entry]).map(source => source.text))
+        });
+    }
+    
     console.timeEnd('Precompilation');
     
-    const totalLines = processedRules + skippedLines;
-    const stats = { totalLines, processedRules, skippedLines, errors };
+    const cosmetic = compileCosmeticFilters(cosmeticFilters);
+    const stats = { totalLines, processedRules, skippedLines, errors, redundantFilters, exceptionRules, regexRules, removeParamRules, redirectRules, modifyHeadersRules, cosmeticRules, unsupportedOptions, unsupportedOptionCounts, rejectedRegexFilters };
     
     console.log(`✅ Ultra-fast processing: ${rules.length} rules from ${totalLines} lines`);
     console.log(`📊 Efficiency: ${((processedRules/totalLines)*100).toFixed(1)}% - Processing: ~95% faster`);
+    console.log(`🗜️ Optimization: ${processedRules} filters → ${rules.length} rules, ${redundantFilters} covered by a parent domain`);
+    console.log(`🎨 Cosmetic: ${cosmetic.generic.length} generic selectors, ${Object.keys(cosmetic.specific).length} hostnames`);
+    
+    if (unsupportedOptions > 0) {
+        const summary = Object.entries(unsupportedOptionCounts)
+            .map(([option, count]) => `${option} (${count})`)
+            .join(', ');
+        console.log(`⚠️ Untranslatable options: ${summary}`);
+    }
+    
+    // List maintainers need to know exactly which regex entries never reach the extension
+    for (const rejected of rejectedRegexFilters) {
+        console.log(`❌ Regex rejected (line ${rejected.line}): ${rejected.filter} - ${rejected.reason}`);
+    }
+    
+    if (list.expires !== undefined) {
+        list.expiresHours = parseExpiresHeader(list.expires);
+    }
+    
+    return { rules, rulesets, networkFilters, cosmetic, cosmeticFilters, format, list, stats };
+}
+
+/**
+ * Check a filter list line by line without compiling it
+ * @param {string} filterText - Raw filter text
+ * @param {Object} options - { format }
+ * @returns {Object} { format, diagnostics, summary } - diagnostics are { line, severity, code, message, filter }
+ */
+function lintFilterList(filterText, options = {}) {
+    const format = !options.format || options.format === 'auto' ? detectFilterFormat(filterText) : options.format;
+    const diagnostics = [];
+    const firstLineByText = new Map();
+    const domainFilters = [];
+    let regexRules = 0;
+    // Sections become rulesets of their own, the optimizer only drops entries within one
+    let category = DEFAULT_CATEGORY;
+    
+    const report = (line, severity, code, message, filter) => {
+        diagnostics.push({ line, severity, code, message, filter });
+    };
+    
+    filterText.split('\n').forEach((rawLine, index) => {
+        const line = index + 1;
+        const trimmed = rawLine.trim();
+        
+        if (!trimmed || trimmed[0] === '!' || trimmed[0] === '[') {
+            const header = trimmed[0] === '!' ? CATEGORY_HEADER.exec(trimmed) : null;
+            if (header) {
+                category = parseCategoryHeader(header[1]);
+            }
+            return;
+        }
+        
+        if (trimmed.length > CONFIG.MAX_FILTER_LENGTH) {
+            report(line, 'error', 'overlong', `Filter is ${trimmed.length} characters long, the limit is ${CONFIG.MAX_FILTER_LENGTH}`, trimmed.substring(0, 80));
+            return;
+        }
+        
+        if (firstLineByText.has(trimmed)) {
+            report(line, 'warning', 'duplicate', `Duplicate of line ${firstLineByText.get(trimmed)}`, trimmed);
+            return;
+        }
+        firstLineByText.set(trimmed, line);
+        
+        if (format !== 'abp') {
+            if (trimmed[0] === '#') return;
+            const domains = parseHostsLine(trimmed, format);
+            if (!domains) {
+                report(line, 'warning', 'unsupported-syntax', `Not a blocking ${format === 'hosts' ? 'hosts' : 'domain list'} entry`, trimmed);
+            }
+            (domains || []).forEach(domain => domainFilters.push({ line, text: trimmed, domain, category: category.id, signature: filterSignature(parseNetworkFilter(`||${domain}^`)) }));
+            return;
+        }
+        
+        const cosmeticMatch = COSMETIC_SEPARATOR.exec(trimmed);
+        if (cosmeticMatch) {
+            const filter = parseCosmeticFilter(trimmed, cosmeticMatch);
+            if (filter.error) {
+                report(line, 'error', 'unsupported-syntax', filter.error, trimmed);
+            }
+            return;
+        }
+        
+        if (trimmed[0] === '#') {
+            return;
+        }
+        
+        const filter = parseNetworkFilter(trimmed);
+        
+        if (filter.error) {
+            if (filter.regex) {
+                report(line, 'error', 'unsupported-regex', filter.error, trimmed);
+            } else if (filter.error.includes('non-ASCII')) {
+                report(line, 'error', 'invalid-characters', filter.error, trimmed);
+            } else {
+                report(line, 'error', 'unsupported-syntax', filter.error, trimmed);
+            }
+            return;
+        }
+        
+        if (filter.unsupportedOptions.length > 0) {
+            for (const option of filter.unsupportedOptions) {
+                if (TRANSLATED_OPTIONS.includes(option)) {
+                    report(line, 'error', 'invalid-option-value', `Invalid value for option "${option}"`, trimmed);
+                } else if (UNTRANSLATABLE_OPTIONS.includes(option)) {
+                    report(line, 'warning', 'unsupported-option', `Option "${option}" has no declarativeNetRequest equivalent, the filter is dropped`, trimmed);
+                } else {
+                    report(line, 'error', 'unknown-option', `Unknown option "${option}"`, trimmed);
+                }
+            }
+            return;
+        }
+        
+        if (filter.regexFilter && ++regexRules > CONFIG.MAX_REGEX_RULES) {
+            report(line, 'error', 'regex-limit', `Regex rule limit of ${CONFIG.MAX_REGEX_RULES} reached`, trimmed);
+        }
+        
+        if (filter.domain) {
+            domainFilters.push({ line, text: trimmed, domain: filter.domain, category: category.id, signature: filterSignature(filter) });
+        }
+    });
+    
+    // Same rule as the optimizer: requestDomains matches subdomains, so a parent with the same signature
+    // in the same section covers the entry
+    const domainLines = new Map();
+    for (const entry of domainFilters) {
+        const key = `${entry.category}|${entry.signature}|${entry.domain}`;
+        if (!domainLines.has(key)) domainLines.set(key, entry.line);
+    }
+    for (const entry of domainFilters) {
+        for (let dot = entry.domain.indexOf('.'); dot !== -1; dot = entry.domain.indexOf('.', dot + 1)) {
+            const parent = entry.domain.substring(dot + 1);
+            const parentLine = domainLines.get(`${entry.category}|${entry.signature}|${parent}`);
+            if (parentLine !== undefined) {
+                report(entry.line, 'warning', 'shadowed', `Already covered by ${parent} on line ${parentLine}`, entry.text);
+                break;
+            }
+        }
+    }
+    
+    diagnostics.sort((a, b) => a.line - b.line);
+    
+    return {
+        format,
+        diagnostics,
+        summary: {
+            errors: diagnostics.filter(diagnostic => diagnostic.severity === 'error').length,
+            warnings: diagnostics.filter(diagnostic => diagnostic.severity === 'warning').length
+        }
+    };
+}
+
+/**
+ * Map every rule ID back to the filters it was compiled from, so a rule reported by
+ * onRuleMatchedDebug can be traced to its list line
+ * @param {Array<Object>} rulesets - Combined rulesets with final rule IDs, ruleLines, ruleTexts and ruleFiles
+ * @returns {Object} { rules } keyed by rule ID - { action, ruleset, category, file, sources: [{ line, filter }] }
+ */
+function buildSourceMap(rulesets) {
+    const rules = {};
+    
+    for (const ruleset of rulesets) {
+        ruleset.rules.forEach((rule, index) => {
+            const lines = ruleset.ruleLines[index];
+            rules[rule.id] = {
+                action: rule.action.type,
+                ruleset: ruleset.id,
+                category: ruleset.category.name,
+                file: ruleset.ruleFiles[index],
+                // Batched rules list one source per requestDomains entry, in the same order
+                sources: ruleset.ruleTexts[index].map((filter, sourceIndex) => ({ line: lines[sourceIndex], filter }))
+            };
+        });
+    }
+    
+    return { rules };
+}
+
+/**
+ * Build metadata the extension reads instead of counting rules itself
+ * @param {Object} compiled - Combined compilation result
+ * @param {Array<Object>} sources - { file, text } of every compiled list
+ * @param {Array<Object>} rulesetFiles - { id, path } of the written rulesets
+ * @returns {Object} Metadata with per-ruleset counts, list versions and build time
+ */
+function buildMetadata(compiled, sources, rulesetFiles) {
+    const rulesetPaths = new Map(rulesetFiles.map(ruleset => [ruleset.id, ruleset.path]));
+    
+    return {
+        buildTime: new Date().toISOString(),
+        sources: sources.map(source => {
+            const list = source.compiled.list;
+            return {
+                file: source.file,
+                format: source.compiled.format,
+                title: list.title || path.basename(source.file),
+                // Lists without a version header are identified by their content
+                version: list.version || `sha256:${crypto.createHash('sha256').update(source.text).digest('hex').substring(0, 12)}`,
+                expires: list.expires || null,
+                expiresHours: list.expiresHours || null,
+                homepage: list.homepage || null,
+                lastModified: list.lastModified || null,
+                license: list.license || null
+            };
+        }),
+        totals: {
+            rules: compiled.rules.length,
+            filters: compiled.stats.processedRules,
+            cosmeticRules: compiled.stats.cosmeticRules
+        },
+        rulesets: compiled.rulesets.map(ruleset => ({
+            id: ruleset.id,
+            category: ruleset.category.id,
+            name: ruleset.category.name,
+            path: rulesetPaths.get(ruleset.id) || null,
+            rules: ruleset.rules.length,
+            filters: ruleset.filters
+        }))
+    };
+}
+
+/**
+ * Point the manifest's declarative_net_request.rule_resources at the generated category rulesets
+ * @param {string} manifestPath - Path to manifest.json
+ * @param {Array<Object>} rulesetFiles - { id, path } with paths relative to the extension root
+ */
+async function updateManifestRulesets(manifestPath, rulesetFiles) {
+    if (rulesetFiles.length > CONFIG.MAX_STATIC_RULESETS) {
+        throw new Error(`${rulesetFiles.length} categories exceed Chrome's limit of ${CONFIG.MAX_STATIC_RULESETS} static rulesets`);
+    }
+    if (rulesetFiles.length > CONFIG.MAX_ENABLED_STATIC_RULESETS) {
+        console.warn(`⚠️ Only ${CONFIG.MAX_ENABLED_STATIC_RULESETS} of ${rulesetFiles.length} rulesets can be enabled at the same time`);
+    }
+    
+    const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+    manifest.declarative_net_request = manifest.declarative_net_request || {};
+    manifest.declarative_net_request.rule_resources = rulesetFiles.map((ruleset, index) => ({
+        id: ruleset.id,
+        enabled: index < CONFIG.MAX_ENABLED_STATIC_RULESETS,
+        path: ruleset.path
+    }));
+    
+    await writeFileAtomic(manifestPath, JSON.stringify(manifest, null, 2));
+}
+
+// Hash of this file and the filter grammar, so any compiler change invalidates every cached list
+let compilerHash = null;
+
+/**
+ * Content hash of a filter list, seeded and tied to the compiler source and compile options
+ * @param {string} filterText - Raw filter list
+ * @param {Object} compileOptions - Options passed to precompileFilterList
+ * @returns {string} Hex digest
+ */
+function hashFilterList(filterText, compileOptions) {
+    if (!compilerHash) {
+        compilerHash = crypto.createHash('sha256')
+            .update(fsSync.readFileSync(__filename))
+            .update(fsSync.readFileSync(require.resolve('./js/filter_grammar')))
+            .digest('hex');
+    }
+    
+    return crypto.createHash('sha256')
+        .update(CONFIG.HASH_SEED.toString(16))
+        .update(compilerHash)
+        .update(JSON.stringify(compileOptions))
+        .update(filterText)
+        .digest('hex');
+}
+
+/**
+ * Read a JSON file, falling back when it is missing or corrupt (cache and registry are optional)
+ * @param {string} filePath - JSON file
+ * @param {*} fallback - Value returned when the file cannot be used
+ * @returns {Promise<*>} Parsed JSON or fallback
+ */
+async function readJsonFile(filePath, fallback) {
+    try {
+        return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch {
+        return fallback;
+    }
+}
+
+/**
+ * Write through a temporary file and rename it into place, so the extension never loads a half-written file
+ * @param {string} filePath - Target file
+ * @param {string} content - File content
+ */
+async function writeFileAtomic(filePath, content) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    try {
+        await fs.writeFile(tempPath, content);
+        await fs.rename(tempPath, filePath);
+    } catch (error) {
+        await fs.unlink(tempPath).catch(() => {});
+        throw error;
+    }
+}
+
+/**
+ * Read a filter list, streaming files above LARGE_FILE_THRESHOLD_MB
+ * @param {string} filterPath - Path to the list
+ * @returns {Promise<string>} List content
+ */
+async function readFilterList(filterPath) {
+    // Check file size for streaming decision
+    const stats = await fs.stat(filterPath);
+    const fileSizeMB = stats.size / (1024 * 1024);
+    
+    console.log(`📖 Reading ${path.basename(filterPath)} (${fileSizeMB.toFixed(1)}MB)...`);
+    
+    if (fileSizeMB > CONFIG.LARGE_FILE_THRESHOLD_MB) {
+        // Use streaming for large files
+        console.log('🔄 Using streaming for large file...');
+        const chunks = [];
+        const readStream = fsSync.createReadStream(filterPath, { encoding: 'utf8' });
+        
+        try {
+            for await (const chunk of readStream) {
+                chunks.push(chunk);
+            }
+            // Use more efficient array join for large files
+            return chunks.length === 1 ? chunks[0] : chunks.join('');
+        } catch (error) {
+            throw new Error(`Failed to read large file: ${error.message}`);
+        }
+    }
+    
+    // Use asynchronous read for better performance
+    try {
+        return await fs.readFile(filterPath, 'utf8');
+    } catch (error) {
+        throw new Error(`Failed to read file: ${error.message}`);
+    }
+}
+
+/**
+ * Merge the per-list compilation results; categories with the same name share one ruleset
+ * @param {Array<Object>} results - { file, compiled } per input list
+ * @returns {Object} Combined result shaped like precompileFilterList's
+ */
+function combineCompiledLists(results) {
+    const rulesets = new Map();
+    const networkFilters = [];
+    const cosmeticFilters = [];
+    const stats = createEmptyStats();
+    
+    for (const { file, compiled } of results) {
+        for (const ruleset of compiled.rulesets) {
+            if (!rulesets.has(ruleset.id)) {
+                rulesets.set(ruleset.id, { id: ruleset.id, category: ruleset.category, filters: 0, rules: [], ruleKeys: [], ruleLines: [], ruleTexts: [], ruleFiles: [] });
+            }
+            const combined = rulesets.get(ruleset.id);
+            combined.filters += ruleset.filters;
+            combined.rules.push(...ruleset.rules);
+            // The same filter in two lists is two rules, so the list is part of the identity
+            combined.ruleKeys.push(...ruleset.ruleKeys.map(key => `${file}|${key}`));
+            combined.ruleLines.push(...ruleset.ruleLines);
+            combined.ruleTexts.push(...ruleset.ruleTexts);
+            combined.ruleFiles.push(...ruleset.rules.map(() => file));
+        }
+        
+        networkFilters.push(...compiled.networkFilters);
+        cosmeticFilters.push(...compiled.cosmeticFilters);
+        
+        for (const [key, value] of Object.entries(compiled.stats)) {
+            if (typeof value === 'number') stats[key] += value;
+        }
+        for (const [option, count] of Object.entries(compiled.stats.unsupportedOptionCounts)) {
+            stats.unsupportedOptionCounts[option] = (stats.unsupportedOptionCounts[option] || 0) + count;
+        }
+        stats.rejectedRegexFilters.push(...compiled.stats.rejectedRegexFilters.map(rejected => ({ file, ...rejected })));
+    }
+    
+    // Chrome's regex limit applies per ruleset, and two lists feeding the same category can exceed it together
+    // The per-list check in precompileFilterList cannot see that, so later rules over the limit are dropped here
+    for (const combined of rulesets.values()) {
+        let regexCount = 0;
+        const keep = combined.rules.map(rule => !rule.condition.regexFilter || ++regexCount <= CONFIG.MAX_REGEX_RULES);
+        if (regexCount <= CONFIG.MAX_REGEX_RULES) continue;
+        
+        let droppedFilters = 0;
+        keep.forEach((kept, index) => {
+            if (kept) return;
+            combined.ruleTexts[index].forEach((text, sourceIndex) => {
+                const rejected = {
+                    file: combined.ruleFiles[index],
+                    line: combined.ruleLines[index][sourceIndex],
+                    filter: text,
+                    reason: `Regex rule limit of ${CONFIG.MAX_REGEX_RULES} reached in ${combined.id}`
+                };
+                stats.rejectedRegexFilters.push(rejected);
+                console.log(`❌ Regex rejected (${rejected.file} line ${rejected.line}): ${rejected.filter} - ${rejected.reason}`);
+                droppedFilters++;
+            });
+        });
+        
+        for (const field of ['rules', 'ruleKeys', 'ruleLines', 'ruleTexts', 'ruleFiles']) {
+            combined[field] = combined[field].filter((_, index) => keep[index]);
+        }
+        combined.filters -= droppedFilters;
+        stats.regexRules -= regexCount - CONFIG.MAX_REGEX_RULES;
+        stats.processedRules -= droppedFilters;
+        stats.skippedLines += droppedFilters;
+    }
+    
+    const combinedRulesets = [...rulesets.values()];
+    return {
+        rules: combinedRulesets.flatMap(ruleset => ruleset.rules),
+        rulesets: combinedRulesets,
+        networkFilters,
+        cosmetic: compileCosmeticFilters(cosmeticFilters),
+        cosmeticFilters,
+        stats
+    };
+}
+
+/**
+ * Give every rule the ID it had in the previous build, so rule-ID based logs and allowlists survive
+ * list updates. New rules get IDs that were never handed out before.
+ * @param {Array<Object>} rulesets - Combined rulesets with ruleKeys
+ * @param {Object} registry - { nextId, ids } from the previous build
+ * @returns {Object} Registry for the next build
+ */
+function assignStableRuleIds(rulesets, registry = {}) {
+    const previousIds = registry.ids || {};
+    const ids = {};
+    const usedIds = new Set();
+    let nextId = registry.nextId || 1;
+    
+    for (const ruleset of rulesets) {
+        ruleset.rules.forEach((rule, index) => {
+            const baseKey = `${ruleset.id}|${ruleset.ruleKeys[index]}`;
+            let key = baseKey;
+            // Identical filters in one ruleset still need distinct IDs
+            for (let occurrence = 2; ids[key] !== undefined; occurrence++) {
+                key = `${baseKey}#${occurrence}`;
+            }
+            
+            const previousId = previousIds[key];
+            rule.id = previousId !== undefined && !usedIds.has(previousId) ? previousId : nextId++;
+            usedIds.add(rule.id);
+            ids[key] = rule.id;
+        });
+    }
+    
+    return { nextId, ids };
+}
+
+/**
+ * The built-in tracking parameters as a filter list of their own, so they get a ruleset users can toggle
+ * @returns {string} ABP filter list
+ */
+function buildTrackingParameterList() {
+    return [
+        '! Title: Pagy Blocker Tracking Parameters',
+        '! === Tracking Parameters ===',
+        // A `$removeparam` filter needs a pattern - `utm_source=` only matches URLs that carry the parameter
+        ...TRACKING_PARAMETERS.map(param => `${param}=$removeparam=${param}`)
+    ].join('\n');
+}
+
+/**
+ * Compile every input list, reusing cached output for lists whose content hash did not change
+ * @param {Array<string>} filterPaths - Absolute paths of the input lists
+ * @param {Object} options - { optimize, useCache, format, trackingParams }
+ * @returns {Promise<Object>} { compiled, sources } - combined result and per-list details
+ */
+async function compileFilterLists(filterPaths, options) {
+    const listOptions = { startId: 1, priority: 1, optimize: options.optimize, format: options.format };
+    const cachePath = path.join(__dirname, CONFIG.CACHE_FILE);
+    const cache = options.useCache ? await readJsonFile(cachePath, {}) : {};
+    const nextCache = {};
+    const sources = [];
+    
+    const inputs = filterPaths.map(filterPath => ({
+        file: path.relative(__dirname, filterPath).split(path.sep).join('/'),
+        path: filterPath
+    }));
+    if (options.trackingParams !== false) {
+        inputs.push({ file: TRACKING_PARAMETERS_FILE, path: null, text: buildTrackingParameterList() });
+    }
+    
+    for (const { file, path: filterPath, text: builtinText } of inputs) {
+        const text = builtinText === undefined ? await readFilterList(filterPath) : builtinText;
+        // The built-in list is ABP syntax whatever --format says about the inputs
+        const compileOptions = builtinText === undefined ? listOptions : { ...listOptions, format: 'abp' };
+        const hash = hashFilterList(text, compileOptions);
+        const cached = cache[file] && cache[file].hash === hash;
+        
+        let compiled;
+        if (cached) {
+            console.log(`♻️ ${file} unchanged, using cached compilation`);
+            compiled = cache[file].compiled;
+        } else {
+            console.log(`⚡ Precompiling ${file}...`);
+            compiled = precompileFilterList(text, compileOptions);
+        }
+        
+        nextCache[file] = { hash, compiled };
+        sources.push({ file, path: filterPath, text, hash, cached: Boolean(cached), compiled });
+    }
+    
+    if (options.useCache) {
+        await fs.mkdir(path.dirname(cachePath), { recursive: true });
+        await writeFileAtomic(cachePath, JSON.stringify(nextCache));
+    }
+    
+    return { compiled: combineCompiledLists(sources), sources };
+}
+
+/**
+ * Write rules, cosmetic rules, rulesets, metadata and the rule ID registry
+ * @param {Object} compiled - Combined compilation result
+ * @param {Array<Object>} sources - Per-list details from compileFilterLists
+ * @param {string} outputPath - Path of the combined rules file
+ * @param {Object} options - { updateManifest }
+ */
+async function writeCompiledOutput(compiled, sources, outputPath, options) {
+    // Ensure output directory exists
+    const outputDir = path.dirname(outputPath);
+    try {
+        await fs.access(outputDir);
+    } catch {
+        await fs.mkdir(outputDir, { recursive: true });
+    }
+    
+    // Rule IDs must be final before anything is written
+    const registryPath = path.join(outputDir, CONFIG.RULE_ID_FILE);
+    const registry = assignStableRuleIds(compiled.rulesets, await readJsonFile(registryPath, {}));
+    
+    // Cosmetic rules always live next to the network rules so the extension finds both
+    const cosmeticPath = path.join(outputDir, CONFIG.DEFAULT_COSMETIC_FILE);
+    const sourceMapPath = path.join(outputDir, CONFIG.SOURCE_MAP_FILE);
+    
+    try {
+        // Write only the rules array to the file asynchronously
+        // Adding null, 2 formats the JSON file for better readability
+        await writeFileAtomic(outputPath, JSON.stringify(compiled.rules, null, 2));
+        // Cosmetic rules are loaded on every page, so they stay compact
+        await writeFileAtomic(cosmeticPath, JSON.stringify(compiled.cosmetic));
+        await writeFileAtomic(registryPath, JSON.stringify(registry, null, 2));
+        // Only read when a rule ID has to be explained, so it stays compact
+        await writeFileAtomic(sourceMapPath, JSON.stringify(buildSourceMap(compiled.rulesets)));
+    } catch (error) {
+        throw new Error(`Failed to write output file: ${error.message}`);
+    }
+    
+    // One ruleset file per category so the extension can toggle them independently
+    const rulesetsDir = path.join(outputDir, CONFIG.RULESETS_DIR);
+    await fs.mkdir(rulesetsDir, { recursive: true });
+    
+    const rulesetFiles = [];
+    for (const ruleset of compiled.rulesets) {
+        const rulesetPath = path.join(rulesetsDir, `${ruleset.category.id}.json`);
+        await writeFileAtomic(rulesetPath, JSON.stringify(ruleset.rules, null, 2));
+        rulesetFiles.push({
+            id: ruleset.id,
+            path: path.relative(__dirname, rulesetPath).split(path.sep).join('/')
+        });
+        console.log(`📂 ${ruleset.id}: ${ruleset.rules.length} rules from ${ruleset.filters} filters`);
+    }
+    
+    // Categories that disappeared from the list must not linger as rulesets
+    const currentFiles = new Set(compiled.rulesets.map(ruleset => `${ruleset.category.id}.json`));
+    for (const file of await fs.readdir(rulesetsDir)) {
+        if (file.endsWith('.json') && !currentFiles.has(file)) {
+            await fs.unlink(path.join(rulesetsDir, file));
+        }
+    }
+    
+    const metadataPath = path.join(outputDir, CONFIG.DEFAULT_METADATA_FILE);
+    const metadata = buildMetadata(compiled, sources, rulesetFiles);
+    await writeFileAtomic(metadataPath, JSON.stringify(metadata, null, 2));
+    console.log(`🏷️ Metadata: ${metadata.sources.map(source => `${source.title} ${source.version}`).join(', ')} → ${metadataPath}`);
+    
+    // Rulesets outside the extension directory cannot be referenced from the manifest
+    if (options.updateManifest && !rulesetFiles.some(ruleset => ruleset.path.startsWith('..'))) {
+        await updateManifestRulesets(path.join(__dirname, CONFIG.MANIFEST_FILE), rulesetFiles);
+        console.log(`📝 Updated ${CONFIG.MANIFEST_FILE} with ${rulesetFiles.length} rulesets`);
+    }
     
-    return { rules, stats };
+    return { cosmeticPath };
+}
+
+/**
+ * Write the build in other blockers' formats, from the same parsed filters as the rulesets
+ * @param {Object} compiled - Combined compilation result
+ * @param {Array<Object>} sources - Per-list details from compileFilterLists
+ * @param {string} exportDir - Target directory
+ * @param {Array<string>} formats - Keys of EXPORT_FORMATS
+ * @returns {Promise<Array<Object>>} { format, path, exported, skipped } per written file
+ */
+async function writeExports(compiled, sources, exportDir, formats) {
+    await fs.mkdir(exportDir, { recursive: true });
+    
+    // Derived from the list contents, so unchanged lists give byte-identical exports
+    const info = {
+        version: crypto.createHash('sha256').update(sources.map(source => source.hash).join('')).digest('hex').substring(0, 12),
+        sources: sources.map(source => source.file)
+    };
+    const model = { filters: compiled.networkFilters, cosmeticFilters: compiled.cosmeticFilters, cosmetic: compiled.cosmetic };
+    
+    const written = [];
+    for (const format of formats) {
+        const result = exportFilters(format, model, info);
+        const exportPath = path.join(exportDir, EXPORT_FORMATS[format]);
+        await writeFileAtomic(exportPath, result.content);
+        written.push({ format, path: exportPath, exported: result.exported, skipped: result.skipped });
+        console.log(`📤 ${format}: ${result.exported} entries${result.skipped > 0 ? `, ${result.skipped} filters not expressible` : ''} → ${exportPath}`);
+    }
+    
+    return written;
+}
+
+/**
+ * Load the build a diff compares against: a filter list is compiled like the inputs, a compiled
+ * rules file is split into categories through the metadata next to it and gets its source lines
+ * from the source map next to it, if there is one
+ * @param {string} baselinePath - Filter list or compiled rules JSON
+ * @param {Object} options - { optimize, format }
+ * @returns {Promise<Array<Object>>} Rulesets for diffBuilds
+ */
+async function loadDiffBaseline(baselinePath, options) {
+    const file = path.relative(__dirname, baselinePath).split(path.sep).join('/');
+    
+    if (!baselinePath.endsWith('.json')) {
+        // Same inputs as the current build, including the built-in tracking parameters unless --no-tracking-params
+        // No cache: it holds the current build's lists and would be overwritten with the baseline alone
+        const { compiled } = await compileFilterLists([baselinePath], { ...options, useCache: false });
+        return compiled.rulesets;
+    }
+    
+    const rules = await readJsonFile(baselinePath, null);
+    if (!Array.isArray(rules)) {
+        throw new Error(`${file} is not a compiled rules file`);
+    }
+    
+    // Rule IDs are unique across rulesets, so the ruleset files tell which category a rule belongs to
+    const metadata = await readJsonFile(path.join(path.dirname(baselinePath), CONFIG.DEFAULT_METADATA_FILE), { rulesets: [] });
+    const categoryById = new Map();
+    for (const ruleset of metadata.rulesets) {
+        const rulesetRules = ruleset.path ? await readJsonFile(path.join(__dirname, ruleset.path), []) : [];
+        rulesetRules.forEach(rule => categoryById.set(rule.id, { id: ruleset.category, name: ruleset.name }));
+    }
+    
+    const sourceMap = await readJsonFile(path.join(path.dirname(baselinePath), CONFIG.SOURCE_MAP_FILE), { rules: {} });
+    
+    const rulesets = new Map();
+    for (const rule of rules) {
+        const category = categoryById.get(rule.id) || DEFAULT_CATEGORY;
+        if (!rulesets.has(category.id)) rulesets.set(category.id, { category, rules: [], ruleLines: [], ruleFiles: [] });
+        const ruleset = rulesets.get(category.id);
+        const origin = sourceMap.rules[rule.id];
+        ruleset.rules.push(rule);
+        ruleset.ruleLines.push(origin ? origin.sources.map(source => source.line) : []);
+        ruleset.ruleFiles.push(origin ? origin.file : null);
+    }
+    
+    return [...rulesets.values()];
+}
+
+/**
+ * Lint every input list, print the diagnostics and set a failing exit code on errors
+ * @param {Array<string>} filterPaths - Absolute paths of the input lists
+ * @param {Object} options - { format, report }
+ */
+async function lintFilterLists(filterPaths, options) {
+    const results = [];
+    
+    for (const filterPath of filterPaths) {
+        const file = path.relative(__dirname, filterPath).split(path.sep).join('/');
+        const result = lintFilterList(await readFilterList(filterPath), options);
+        results.push({ file, ...result });
+        
+        for (const diagnostic of result.diagnostics) {
+            const icon = diagnostic.severity === 'error' ? '❌' : '⚠️';
+            console.log(`${icon} ${file}:${diagnostic.line} ${diagnostic.severity} [${diagnostic.code}] ${diagnostic.message}: ${diagnostic.filter}`);
+        }
+        console.log(`🔍 ${file} (${result.format}): ${result.summary.errors} errors, ${result.summary.warnings} warnings`);
+    }
+    
+    if (options.report) {
+        await fs.writeFile(options.report, JSON.stringify(results, null, 2));
+        console.log(`📄 JSON report: ${options.report}`);
+    }
+    
+    if (results.some(result => result.summary.errors > 0)) {
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * Recompile whenever an input list changes and print what changed, until the process is stopped
+ * @param {Array<string>} filterPaths - Absolute paths of the input lists
+ * @param {string} outputPath - Path of the combined rules file
+ * @param {Object} options - Parsed arguments with exportDir resolved
+ * @param {Object} initialBuild - { compiled } of the build that was just written
+ */
+function watchFilterLists(filterPaths, outputPath, options, initialBuild) {
+    let previous = initialBuild.compiled;
+    let timer = null;
+    let running = false;
+    let pending = false;
+    
+    const rebuild = async () => {
+        // A change during a rebuild is picked up right after it instead of running two builds at once
+        if (running) {
+            pending = true;
+            return;
+        }
+        running = true;
+        
+        try {
+            const { compiled, sources } = await compileFilterLists(filterPaths, options);
+            await writeCompiledOutput(compiled, sources, outputPath, options);
+            if (options.exports.length > 0) {
+                await writeExports(compiled, sources, options.exportDir, options.exports);
+            }
+            
+            const diff = diffBuilds(previous.rulesets, compiled.rulesets);
+            console.log(`\n${formatDiffReport(diff, { from: 'previous build', to: 'current build' }, CONFIG.WATCH_DIFF_ENTRIES)}`);
+            console.log(`✅ Rebuilt at ${new Date().toLocaleTimeString()}: ${compiled.rules.length} rules, ${compiled.stats.rejectedRegexFilters.length} rejected regex filters`);
+            previous = compiled;
+        } catch (error) {
+            // Keep watching, the next save usually fixes it
+            console.error('❌ Rebuild failed:', error.message);
+        } finally {
+            running = false;
+            if (pending) {
+                pending = false;
+                rebuild();
+            }
+        }
+    };
+    
+    for (const filterPath of filterPaths) {
+        fsSync.watchFile(filterPath, { interval: CONFIG.WATCH_INTERVAL_MS }, (current, before) => {
+            if (current.mtimeMs === before.mtimeMs) return;
+            console.log(`\n👀 ${path.basename(filterPath)} changed`);
+            clearTimeout(timer);
+            timer = setTimeout(rebuild, CONFIG.WATCH_DEBOUNCE_MS);
+        });
+    }
+    
+    console.log(`\n👀 Watching ${filterPaths.length} list(s) for changes, press Ctrl+C to stop`);
 }
 
 /**
@@ -167,8 +1453,19 @@ function precompileFilterList(filterText, options = {}) {
 function parseArgs() {
     const args = process.argv.slice(2);
     const options = {
-        input: null,
+        inputs: [],
         output: null,
+        optimize: true,
+        updateManifest: true,
+        useCache: true,
+        format: 'auto',
+        trackingParams: true,
+        diff: null,
+        lint: false,
+        watch: false,
+        report: null,
+        exports: [],
+        exportDir: null,
         help: false
     };
     
@@ -177,9 +1474,33 @@ function parseArgs() {
         if (arg === '--help' || arg === '-h') {
             options.help = true;
         } else if (arg === '--input' || arg === '-i') {
-            options.input = args[++i];
+            // Repeat the flag or separate files with commas to compile several lists
+            options.inputs.push(...args[++i].split(',').filter(Boolean));
         } else if (arg === '--output' || arg === '-o') {
             options.output = args[++i];
+        } else if (arg === '--no-optimize') {
+            options.optimize = false;
+        } else if (arg === '--no-manifest') {
+            options.updateManifest = false;
+        } else if (arg === '--no-cache') {
+            options.useCache = false;
+        } else if (arg === '--format' || arg === '-f') {
+            options.format = args[++i];
+        } else if (arg === '--no-tracking-params') {
+            options.trackingParams = false;
+        } else if (arg === '--diff') {
+            options.diff = args[++i];
+        } else if (arg === '--watch' || arg === '-w') {
+            options.watch = true;
+        } else if (arg === '--lint') {
+            options.lint = true;
+        } else if (arg === '--report') {
+            options.report = args[++i];
+        } else if (arg === '--export') {
+            // `--export hosts,safari` or the flag repeated
+            options.exports.push(...args[++i].split(',').filter(Boolean));
+        } else if (arg === '--export-dir') {
+            options.exportDir = args[++i];
         }
     }
     
@@ -192,8 +1513,19 @@ function parseArgs() {
 function showHelp() {
     console.log('Usage: node filter_precompiler.js [options]');
     console.log('Options:');
-    console.log('  -i, --input <file>   Input filter file (default: filter_300_balanced.txt)');
+    console.log('  -i, --input <file>   Input filter file, repeatable (default: filter_300_balanced.txt)');
     console.log('  -o, --output <file>  Output JSON file (default: filter_precompiled.json)');
+    console.log('  --no-optimize        Keep one rule per filter instead of batching requestDomains');
+    console.log('  --no-manifest        Do not rewrite the rule_resources in manifest.json');
+    console.log('  --no-cache           Recompile every list even if its content hash is unchanged');
+    console.log('  -f, --format <type>  Input format: auto, abp, hosts or domains (default: auto)');
+    console.log('  --no-tracking-params Do not strip the built-in tracking parameters (utm_*, gclid, fbclid, ...)');
+    console.log('  --diff <file>        Compare the inputs with an older list or compiled rules file, writes nothing');
+    console.log('  -w, --watch          Rebuild whenever an input list changes and print the rule changes');
+    console.log('  --lint               Check the inputs line by line, exits with 1 on errors, writes nothing');
+    console.log('  --report <file>      Also write the diff or lint results as JSON');
+    console.log(`  --export <formats>   Also write the build as ${Object.keys(EXPORT_FORMATS).join(', ')} (comma separated)`);
+    console.log('  --export-dir <dir>   Directory for the exports (default: export/ next to the output)');
     console.log('  -h, --help          Show this help message');
 }
 
@@ -208,107 +1540,96 @@ async function main() {
         process.exit(0);
     }
     
+    if (!FILTER_FORMATS.includes(options.format)) {
+        console.error(`❌ Unknown format: ${options.format} (expected ${FILTER_FORMATS.join(', ')})`);
+        process.exit(1);
+    }
+    
+    const unknownExports = options.exports.filter(format => !EXPORT_FORMATS[format]);
+    if (unknownExports.length > 0) {
+        console.error(`❌ Unknown export format: ${unknownExports.join(', ')} (expected ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+        process.exit(1);
+    }
+    
     try {
         // Use provided paths or defaults
-        const inputFile = options.input || CONFIG.DEFAULT_INPUT_FILE;
+        const inputFiles = options.inputs.length > 0 ? options.inputs : [CONFIG.DEFAULT_INPUT_FILE];
         const outputFile = options.output || CONFIG.DEFAULT_OUTPUT_FILE;
         
-        const filterPath = path.isAbsolute(inputFile) ? 
+        const filterPaths = inputFiles.map(inputFile => path.isAbsolute(inputFile) ? 
             inputFile : 
-            path.join(__dirname, CONFIG.FILTER_LISTS_DIR, inputFile);
-            
+            path.join(__dirname, CONFIG.FILTER_LISTS_DIR, inputFile));
+        
         const outputPath = path.isAbsolute(outputFile) ? 
             outputFile : 
             path.join(__dirname, CONFIG.FILTER_LISTS_DIR, outputFile);
         
-        console.log(`Input file: ${filterPath}`);
+        filterPaths.forEach(filterPath => console.log(`Input file: ${filterPath}`));
         console.log(`Output file: ${outputPath}`);
         
-        let filterExists = false;
-        try {
-            await fs.access(filterPath);
-            filterExists = true;
-        } catch {
-            filterExists = false;
-        }
-        
-        if (!filterExists) {
-            console.error('❌ Filter list not found:', filterPath);
-            console.log('Available files in filter_lists directory:');
+        for (const filterPath of filterPaths) {
+            let filterExists = false;
             try {
-                const files = await fs.readdir(path.join(__dirname, CONFIG.FILTER_LISTS_DIR));
-                files.forEach(file => console.log(`  - ${file}`));
-            } catch (error) {
-                console.log('  Could not list directory contents');
+                await fs.access(filterPath);
+                filterExists = true;
+            } catch {
+                filterExists = false;
+            }
+            
+            if (!filterExists) {
+                console.error('❌ Filter list not found:', filterPath);
+                console.log('Available files in filter_lists directory:');
+                try {
+                    const files = await fs.readdir(path.join(__dirname, CONFIG.FILTER_LISTS_DIR));
+                    files.forEach(file => console.log(`  - ${file}`));
+                } catch (error) {
+                    console.log('  Could not list directory contents');
+                }
+                process.exit(1);
             }
-            process.exit(1);
         }
         
-        // Check file size for streaming decision
-        const stats = await fs.stat(filterPath);
-        const fileSizeMB = stats.size / (1024 * 1024);
+        if (options.lint) {
+            await lintFilterLists(filterPaths, options);
+            return;
+        }
         
-        console.log(`📖 Reading filter list (${fileSizeMB.toFixed(1)}MB)...`);
+        const { compiled, sources } = await compileFilterLists(filterPaths, options);
         
-        let filterText;
-        if (fileSizeMB > CONFIG.LARGE_FILE_THRESHOLD_MB) {
-            // Use streaming for large files
-            console.log('🔄 Using streaming for large file...');
-            const chunks = [];
-            const readStream = fsSync.createReadStream(filterPath, { encoding: 'utf8' });
+        if (options.diff) {
+            const baselinePath = path.resolve(options.diff);
+            const diff = diffBuilds(await loadDiffBaseline(baselinePath, options), compiled.rulesets);
             
-            try {
-                for await (const chunk of readStream) {
-                    chunks.push(chunk);
-                }
-                // Use more efficient array join for large files
-                filterText = chunks.length === 1 ? chunks[0] : chunks.join('');
-            } catch (error) {
-                throw new Error(`Failed to read large file: ${error.message}`);
-            }
-        } else {
-            // Use asynchronous read for better performance
-            try {
-                filterText = await fs.readFile(filterPath, 'utf8');
-            } catch (error) {
-                throw new Error(`Failed to read file: ${error.message}`);
+            console.log(`\n${formatDiffReport(diff, { from: options.diff, to: sources.map(source => source.file).join(', ') })}`);
+            if (options.report) {
+                await fs.writeFile(options.report, JSON.stringify(diff, null, 2));
+                console.log(`\n📄 JSON report: ${options.report}`);
             }
+            return;
         }
         
-        console.log('⚡ Precompiling filter list...');
-        const compiled = precompileFilterList(filterText, {
-            startId: 1,
-            priority: 1
-        });
-        
         console.log('💾 Writing precompiled filter...');
+        const { cosmeticPath } = await writeCompiledOutput(compiled, sources, outputPath, options);
         
-        // Ensure output directory exists
-        const outputDir = path.dirname(outputPath);
-        try {
-            await fs.access(outputDir);
-        } catch {
-            await fs.mkdir(outputDir, { recursive: true });
+        const exportDir = options.exportDir ?
+            path.resolve(options.exportDir) :
+            path.join(path.dirname(outputPath), CONFIG.EXPORT_DIR);
+        if (options.exports.length > 0) {
+            await writeExports(compiled, sources, exportDir, options.exports);
         }
         
-        try {
-            // Write only the rules array to the file asynchronously
-            // Adding null, 2 formats the JSON file for better readability
-            await fs.writeFile(outputPath, JSON.stringify(compiled.rules, null, 2));
-        } catch (error) {
-            throw new Error(`Failed to write output file: ${error.message}`);
-        }
-        
-        const [originalStats, compiledStats] = await Promise.all([
-            fs.stat(filterPath),
-            fs.stat(outputPath)
-        ]);
-        const originalSize = originalStats.size;
-        const compiledSize = compiledStats.size;
+        const originalSize = sources.reduce((sum, source) => sum + Buffer.byteLength(source.text), 0);
+        const compiledSize = (await fs.stat(outputPath)).size;
+        const cachedLists = sources.filter(source => source.cached).length;
         
         console.log('\n🎯 PRECOMPILATION COMPLETE!');
         // Statistics are now displayed in the console instead of in the file
         console.log(`📊 Stats: Processed ${compiled.stats.processedRules}, Skipped ${compiled.stats.skippedLines}, Errors ${compiled.stats.errors}`);
+        console.log(`🔓 Exceptions: ${compiled.stats.exceptionRules}, Untranslatable options: ${compiled.stats.unsupportedOptions}`);
+        console.log(`🔣 Regex rules: ${compiled.stats.regexRules}, Rejected: ${compiled.stats.rejectedRegexFilters.length}`);
+        console.log(`🧹 Removeparam filters: ${compiled.stats.removeParamRules}, Surrogate redirects: ${compiled.stats.redirectRules}, Header filters: ${compiled.stats.modifyHeadersRules}`);
+        console.log(`🎨 Cosmetic rules: ${compiled.stats.cosmeticRules} → ${cosmeticPath}`);
+        console.log(`♻️ Cache: ${cachedLists}/${sources.length} lists unchanged`);
         console.log(`📏 Original size: ${(originalSize/1024).toFixed(1)} KB`);
         console.log(`📦 Compiled size: ${(compiledSize/1024).toFixed(1)} KB`);
         console.log(`📁 Output: ${outputPath}`);
@@ -319,6 +1640,10 @@ async function main() {
             console.log(`📈 Compression: ${compressionRatio}% reduction`);
         }
         
+        if (options.watch) {
+            watchFilterLists(filterPaths, outputPath, { ...options, exportDir }, { compiled });
+        }
+        
     } catch (error) {
         console.error('❌ Precompilation failed:', error.message);
         
@@ -341,5 +1666,26 @@ if (require.main === module) {
 
 module.exports = { 
     precompileFilterList,
+    parseNetworkFilter,
+    parseCategoryHeader,
+    parseHostsLine,
+    detectFilterFormat,
+    lintFilterList,
+    validateRegexFilter,
+    parseCosmeticFilter,
+    compileCosmeticFilters,
+    optimizeFilters,
+    compileFilterLists,
+    combineCompiledLists,
+    assignStableRuleIds,
+    hashFilterList,
+    writeCompiledOutput,
+    updateManifestRulesets,
+    buildMetadata,
+    buildSourceMap,
+    buildRule,
+    buildTrackingParameterList,
+    loadDiffBaseline,
+    writeExports,
     CONFIG
-};
\ No newline at end of file
+};
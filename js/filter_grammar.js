@@ -0,0 +1,432 @@
+/**
+ * Network filter grammar shared by the precompiler and the extension
+ * Loaded with require() by filter_precompiler.js and with import by the service worker,
+ * so user-authored rules are parsed exactly like the bundled filter lists
+ *
+ * Plain script without import/export: Node (>=14) cannot require an ES module,
+ * the module system is picked at the bottom of the file instead
+ */
+
+// Grammar constants - the precompiler's CONFIG covers files and limits of a whole build
+const GRAMMAR_CONFIG = {
+    // Surrogate resources `$redirect=` rules point to, listed in web_accessible_resources
+    SURROGATES_DIR: 'surrogates',
+    // Chrome compiles each regexFilter with a 2KB RE2 memory budget
+    REGEX_MAX_MEMORY_BYTES: 2048,
+    REGEX_BYTES_PER_INSTRUCTION: 16
+};
+
+// Every resource type a rule covers when the filter has no type options
+const ALL_RESOURCE_TYPES = [
+    'main_frame', 'sub_frame', 'stylesheet', 'script', 'image', 'font',
+    'object', 'xmlhttprequest', 'ping', 'csp_report', 'media', 'websocket', 'other'
+];
+
+// ABP/uBO type options and the declarativeNetRequest resource type they map to
+const RESOURCE_TYPE_OPTIONS = {
+    'script': 'script',
+    'image': 'image',
+    'stylesheet': 'stylesheet',
+    'css': 'stylesheet',
+    'xmlhttprequest': 'xmlhttprequest',
+    'xhr': 'xmlhttprequest',
+    'subdocument': 'sub_frame',
+    'frame': 'sub_frame',
+    'document': 'main_frame',
+    'doc': 'main_frame',
+    'object': 'object',
+    'ping': 'ping',
+    'beacon': 'ping',
+    'media': 'media',
+    'font': 'font',
+    'websocket': 'websocket',
+    'other': 'other'
+};
+
+// Element hiding separators (##, #@#, #?#, #$# and their exception forms)
+const COSMETIC_SEPARATOR = /#@?[$?]{0,2}#/;
+
+// JavaScript regex features that RE2 (and therefore Chrome's regexFilter) rejects
+const RE2_UNSUPPORTED_GROUPS = [
+    ['(?=', 'Lookahead assertions are not supported by RE2'],
+    ['(?!', 'Negative lookahead assertions are not supported by RE2'],
+    ['(?<=', 'Lookbehind assertions are not supported by RE2'],
+    ['(?<!', 'Negative lookbehind assertions are not supported by RE2'],
+    ['(?<', 'Named groups must use (?P<name>...) in RE2']
+];
+
+// Hostnames accepted in `||domain^` patterns and `$domain=` lists
+const HOSTNAME_PATTERN = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/i;
+
+// `$redirect=` resource names (uBO names and aliases) → surrogate file and the resource types it can stand in for
+const REDIRECT_RESOURCES = {
+    'noop.js': { file: 'noop.js', types: ['script'] },
+    'noopjs': { file: 'noop.js', types: ['script'] },
+    'noop.html': { file: 'noop.html', types: ['sub_frame'] },
+    'noopframe': { file: 'noop.html', types: ['sub_frame'] },
+    'noop.txt': { file: 'noop.txt', types: ['xmlhttprequest', 'other'] },
+    'nooptext': { file: 'noop.txt', types: ['xmlhttprequest', 'other'] },
+    '1x1.gif': { file: '1x1.gif', types: ['image'] },
+    '1x1-transparent.gif': { file: '1x1.gif', types: ['image'] },
+    'googletagmanager_gtm.js': { file: 'googletagmanager_gtm.js', types: ['script'] },
+    'googletagmanager.com/gtm.js': { file: 'googletagmanager_gtm.js', types: ['script'] },
+    'google-analytics_analytics.js': { file: 'google-analytics_analytics.js', types: ['script'] },
+    'google-analytics.com/analytics.js': { file: 'google-analytics_analytics.js', types: ['script'] },
+    'googlesyndication_adsbygoogle.js': { file: 'googlesyndication_adsbygoogle.js', types: ['script'] },
+    'googlesyndication.com/adsbygoogle.js': { file: 'googlesyndication_adsbygoogle.js', types: ['script'] },
+    'googletagservices_gpt.js': { file: 'googletagservices_gpt.js', types: ['script'] },
+    'googletagservices.com/gpt.js': { file: 'googletagservices_gpt.js', types: ['script'] }
+};
+
+// Headers `$removeheader=` may strip, anything else could weaken a site's security (CSP, CORS, HSTS)
+const REMOVABLE_RESPONSE_HEADERS = ['set-cookie', 'refresh', 'location', 'report-to', 'nel'];
+const REMOVABLE_REQUEST_HEADERS = ['cookie', 'referer'];
+
+// Added to the base priority: surrogate redirects must win over blocks (equal priority lets a block win),
+// filter exceptions must win over both. `$removeparam` redirects stay below blocks.
+const ACTION_PRIORITY_OFFSETS = {
+    block: 0,
+    redirect: 0,
+    surrogate: 1,
+    modifyHeaders: 0,
+    allow: 2,
+    allowAllRequests: 2
+};
+
+/**
+ * Parse the `$domain=` option value into initiator domain lists
+ * @param {string} value - Pipe separated domains, `~` marks an exclusion
+ * @returns {Object|null} Included and excluded domains, null if a domain is invalid
+ */
+function parseDomainOption(value) {
+    const included = [];
+    const excluded = [];
+    
+    for (const entry of value.split('|')) {
+        const negated = entry.startsWith('~');
+        const domain = (negated ? entry.substring(1) : entry).toLowerCase();
+        
+        if (!HOSTNAME_PATTERN.test(domain)) {
+            return null;
+        }
+        
+        (negated ? excluded : included).push(domain);
+    }
+    
+    return { included, excluded };
+}
+
+/**
+ * Check a regex filter against the RE2 subset Chrome accepts and estimate its compiled size
+ * The estimate counts RE2 program instructions, expanding counted repetitions like {2,8};
+ * chrome.declarativeNetRequest.isRegexSupported still has the final word in the browser
+ * @param {string} source - Regex source without the surrounding slashes
+ * @returns {string|null} Reason for rejection, null if the regex is usable
+ */
+function validateRegexFilter(source) {
+    try {
+        new RegExp(source);
+    } catch (error) {
+        return `Invalid regular expression: ${error.message}`;
+    }
+    
+    // Instruction counts per open group, the last atom is what a quantifier repeats
+    const groupSizes = [0];
+    let lastAtom = 0;
+    
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        
+        if (char === '\\') {
+            const next = source[++i];
+            if (next >= '1' && next <= '9') return 'Backreferences are not supported by RE2';
+            if (next === 'k') return 'Named backreferences are not supported by RE2';
+            if (next === 'u') return 'Use \\x{...} instead of \\u escapes in RE2';
+            lastAtom = 1;
+            groupSizes[groupSizes.length - 1] += lastAtom;
+        } else if (char === '[') {
+            // Character classes compile to one instruction per range
+            let ranges = 0;
+            i++;
+            if (source[i] === '^') i++;
+            for (; i < source.length && (source[i] !== ']' || ranges === 0); i++) {
+                if (source[i] === '\\') i++;
+                ranges++;
+            }
+            lastAtom = Math.max(1, Math.ceil(ranges / 2));
+            groupSizes[groupSizes.length - 1] += lastAtom;
+        } else if (char === '(') {
+            for (const [construct, reason] of RE2_UNSUPPORTED_GROUPS) {
+                if (source.startsWith(construct, i)) return reason;
+            }
+            if (source.startsWith('(?:', i)) i += 2;
+            groupSizes.push(0);
+        } else if (char === ')') {
+            lastAtom = groupSizes.pop() + 2;
+            groupSizes[groupSizes.length - 1] += lastAtom;
+        } else if (char === '{' && /^\{(\d+)(,(\d*))?\}/.test(source.substring(i))) {
+            const [repetition, min, hasMax, max] = /^\{(\d+)(,(\d*))?\}/.exec(source.substring(i));
+            const minCount = parseInt(min, 10);
+            const maxCount = !hasMax ? minCount : (max === '' ? minCount + 1 : parseInt(max, 10));
+            // RE2 copies the repeated atom once per possible repetition
+            groupSizes[groupSizes.length - 1] += lastAtom * Math.max(0, maxCount - 1) + (maxCount - minCount);
+            i += repetition.length - 1;
+        } else if (char === '*' || char === '+' || char === '?' || char === '|') {
+            groupSizes[groupSizes.length - 1] += 1;
+        } else {
+            lastAtom = 1;
+            groupSizes[groupSizes.length - 1] += lastAtom;
+        }
+    }
+    
+    const estimatedBytes = groupSizes.reduce((sum, size) => sum + size, 0) * GRAMMAR_CONFIG.REGEX_BYTES_PER_INSTRUCTION;
+    if (estimatedBytes > GRAMMAR_CONFIG.REGEX_MAX_MEMORY_BYTES) {
+        return `Exceeds the RE2 memory limit (~${estimatedBytes} of ${GRAMMAR_CONFIG.REGEX_MAX_MEMORY_BYTES} bytes)`;
+    }
+    
+    return null;
+}
+
+/**
+ * Turn a filter into a modifyHeaders filter and add one header operation
+ * @param {Object} filter - Filter being parsed
+ * @param {string} list - 'requestHeaders' or 'responseHeaders'
+ * @param {Object} headerInfo - DNR header operation
+ */
+function addHeaderOperation(filter, list, headerInfo) {
+    filter.action = 'modifyHeaders';
+    if (!filter[list]) filter[list] = [];
+    filter[list].push(headerInfo);
+}
+
+/**
+ * Parse a single ABP-style network filter into the internal rule model
+ * @param {string} text - Trimmed filter line
+ * @returns {Object} Parsed filter, or { error } when the line cannot become a rule
+ */
+function parseNetworkFilter(text) {
+    const filter = {
+        text,
+        action: 'block',
+        urlFilter: '',
+        regexFilter: null,
+        domain: null,
+        domainType: null,
+        resourceTypes: null,
+        initiatorDomains: null,
+        excludedInitiatorDomains: null,
+        isUrlFilterCaseSensitive: false,
+        unsupportedOptions: []
+    };
+    
+    let pattern = text;
+    if (pattern.startsWith('@@')) {
+        filter.action = 'allow';
+        pattern = pattern.substring(2);
+    }
+    
+    let optionsIndex = pattern.lastIndexOf('$');
+    // In `/ads$/` the `$` is a regex anchor, options can only follow the closing slash
+    if (pattern.startsWith('/') && optionsIndex !== -1 && optionsIndex < pattern.lastIndexOf('/')) {
+        optionsIndex = -1;
+    }
+    const optionList = optionsIndex === -1 ? [] : pattern.substring(optionsIndex + 1).split(',');
+    if (optionsIndex !== -1) {
+        pattern = pattern.substring(0, optionsIndex);
+    }
+    
+    const includedTypes = new Set();
+    const excludedTypes = new Set();
+    
+    for (const rawOption of optionList) {
+        const negated = rawOption.startsWith('~');
+        const option = (negated ? rawOption.substring(1) : rawOption).toLowerCase();
+        const equalsIndex = option.indexOf('=');
+        const name = equalsIndex === -1 ? option : option.substring(0, equalsIndex);
+        const value = equalsIndex === -1 ? '' : rawOption.substring(rawOption.indexOf('=') + 1);
+        
+        if (RESOURCE_TYPE_OPTIONS[name] && equalsIndex === -1) {
+            (negated ? excludedTypes : includedTypes).add(RESOURCE_TYPE_OPTIONS[name]);
+        } else if (name === 'third-party' || name === '3p') {
+            filter.domainType = negated ? 'firstParty' : 'thirdParty';
+        } else if ((name === 'first-party' || name === '1p') && !negated) {
+            filter.domainType = 'firstParty';
+        } else if ((name === 'domain' || name === 'from') && value && !negated) {
+            const domains = parseDomainOption(value);
+            if (!domains) {
+                filter.unsupportedOptions.push(name);
+                continue;
+            }
+            if (domains.included.length > 0) filter.initiatorDomains = domains.included;
+            if (domains.excluded.length > 0) filter.excludedInitiatorDomains = domains.excluded;
+        } else if (name === 'match-case' && !negated) {
+            filter.isUrlFilterCaseSensitive = true;
+        } else if ((name === 'removeparam' || name === 'queryprune') && !negated && filter.action === 'block') {
+            // A bare `$removeparam` strips the whole query string - too blunt to translate
+            if (!value) {
+                return { error: '$removeparam needs a parameter name' };
+            }
+            // removeParams only takes exact names, regex and inverted uBO values have no DNR equivalent
+            if (/^[~/]/.test(value) || value.includes('|')) {
+                filter.unsupportedOptions.push(name);
+                continue;
+            }
+            filter.action = 'redirect';
+            filter.redirect = { transform: { queryTransform: { removeParams: [value] } } };
+        } else if ((name === 'redirect' || name === 'redirect-rule') && value && !negated && filter.action === 'block') {
+            // DNR cannot wait for another filter to block first, so `redirect-rule` redirects like `redirect`
+            // `noop.js:100` carries a uBO priority, rule priorities here come from ACTION_PRIORITY_OFFSETS
+            const resource = REDIRECT_RESOURCES[value.split(':')[0]];
+            if (!resource) {
+                filter.unsupportedOptions.push(name);
+                continue;
+            }
+            filter.action = 'redirect';
+            filter.redirect = { extensionPath: `/${GRAMMAR_CONFIG.SURROGATES_DIR}/${resource.file}` };
+            filter.surrogateTypes = resource.types;
+        } else if (name === 'csp' && value && !negated && filter.action !== 'allow') {
+            // Every CSP header is enforced on its own, so appending can only tighten the site's policy
+            addHeaderOperation(filter, 'responseHeaders', { header: 'content-security-policy', operation: 'append', value: value.trim() });
+        } else if (name === 'removeheader' && value && !negated && filter.action !== 'allow') {
+            const requestHeader = value.toLowerCase().startsWith('request:');
+            const header = (requestHeader ? value.substring('request:'.length) : value).toLowerCase();
+            const allowed = requestHeader ? REMOVABLE_REQUEST_HEADERS : REMOVABLE_RESPONSE_HEADERS;
+            if (!allowed.includes(header)) {
+                filter.unsupportedOptions.push(name);
+                continue;
+            }
+            addHeaderOperation(filter, requestHeader ? 'requestHeaders' : 'responseHeaders', { header, operation: 'remove' });
+        } else {
+            filter.unsupportedOptions.push(name || rawOption);
+        }
+    }
+    
+    if (includedTypes.size > 0 || excludedTypes.size > 0) {
+        const baseTypes = includedTypes.size > 0 ? ALL_RESOURCE_TYPES.filter(type => includedTypes.has(type)) : ALL_RESOURCE_TYPES;
+        filter.resourceTypes = baseTypes.filter(type => !excludedTypes.has(type));
+        
+        if (filter.resourceTypes.length === 0) {
+            return { error: 'Filter options exclude every resource type' };
+        }
+    }
+    
+    // Header filters are a mitigation of their own, they cannot be combined with a redirect
+    if (filter.action === 'modifyHeaders' && filter.redirect) {
+        return { error: 'Header modification cannot be combined with a redirect' };
+    }
+    
+    // A CSP only takes effect on documents
+    if (filter.responseHeaders && !filter.resourceTypes && filter.responseHeaders.some(entry => entry.header === 'content-security-policy')) {
+        filter.resourceTypes = ['main_frame', 'sub_frame'];
+    }
+    
+    // A surrogate only fits the request types it was written for
+    if (filter.surrogateTypes) {
+        filter.resourceTypes = (filter.resourceTypes || filter.surrogateTypes).filter(type => filter.surrogateTypes.includes(type));
+        if (filter.resourceTypes.length === 0) {
+            return { error: 'Redirect resource does not fit the filter\'s resource types' };
+        }
+    }
+    
+    // `@@...$document` disables blocking for a whole page, which DNR expresses as allowAllRequests
+    if (filter.action === 'allow' && includedTypes.has('main_frame')) {
+        filter.action = 'allowAllRequests';
+        filter.resourceTypes = ['main_frame', 'sub_frame'];
+    }
+    
+    // Fast validation without includes() calls
+    for (let i = 0; i < pattern.length; i++) {
+        const code = pattern.charCodeAt(i);
+        if (code === 0 || code > 127) {
+            return { error: 'Pattern contains non-ASCII or null characters' };
+        }
+    }
+    
+    if (pattern.startsWith('/') && pattern.length > 2 && pattern.endsWith('/')) {
+        const source = pattern.substring(1, pattern.length - 1);
+        const rejection = validateRegexFilter(source);
+        if (rejection) {
+            return { error: rejection, regex: true };
+        }
+        filter.regexFilter = source;
+        return filter;
+    }
+    
+    if (pattern.startsWith('||*')) {
+        return { error: 'Pattern must not start with ||*' };
+    }
+    
+    if (pattern.length === 0 || pattern === '*') {
+        // A bare option filter would match every URL unless it is scoped to initiator domains -
+        // a bare `$redirect=noop.js` would replace every script, a bare `$removeparam` rewrite every request
+        if (!filter.initiatorDomains) {
+            return { error: 'Filter has no pattern' };
+        }
+    } else {
+        filter.urlFilter = pattern;
+    }
+    
+    if (pattern.length > 3 && pattern.startsWith('||') && pattern.endsWith('^')) {
+        const domain = pattern.substring(2, pattern.length - 1);
+        if (HOSTNAME_PATTERN.test(domain)) {
+            filter.domain = domain.toLowerCase();
+        }
+    }
+    
+    return filter;
+}
+
+/**
+ * Turn a parsed filter into a declarativeNetRequest rule
+ * @param {Object} filter - Filter from parseNetworkFilter
+ * @param {number} id - Rule ID
+ * @param {number} priority - Rule priority
+ * @returns {Object} DNR rule
+ */
+function buildRule(filter, id, priority) {
+    const condition = {};
+    
+    if (filter.requestDomains) condition.requestDomains = filter.requestDomains;
+    if (filter.urlFilter) condition.urlFilter = filter.urlFilter;
+    if (filter.regexFilter) condition.regexFilter = filter.regexFilter;
+    if (filter.isUrlFilterCaseSensitive) condition.isUrlFilterCaseSensitive = true;
+    if (filter.domainType) condition.domainType = filter.domainType;
+    if (filter.initiatorDomains) condition.initiatorDomains = filter.initiatorDomains;
+    if (filter.excludedInitiatorDomains) condition.excludedInitiatorDomains = filter.excludedInitiatorDomains;
+    condition.resourceTypes = filter.resourceTypes || ALL_RESOURCE_TYPES;
+    
+    const action = { type: filter.action };
+    if (filter.redirect) action.redirect = filter.redirect;
+    if (filter.requestHeaders) action.requestHeaders = filter.requestHeaders;
+    if (filter.responseHeaders) action.responseHeaders = filter.responseHeaders;
+    const priorityTier = filter.redirect && filter.redirect.extensionPath ? 'surrogate' : filter.action;
+    
+    return {
+        id,
+        priority: priority + ACTION_PRIORITY_OFFSETS[priorityTier],
+        action,
+        condition
+    };
+}
+
+
+const FilterGrammar = {
+    ALL_RESOURCE_TYPES,
+    RESOURCE_TYPE_OPTIONS,
+    COSMETIC_SEPARATOR,
+    HOSTNAME_PATTERN,
+    REDIRECT_RESOURCES,
+    ACTION_PRIORITY_OFFSETS,
+    parseDomainOption,
+    validateRegexFilter,
+    parseNetworkFilter,
+    buildRule
+};
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FilterGrammar;
+} else {
+    // Export for the service worker, which imports the file for its side effect and reads globalThis.FilterGrammar
+    globalThis.FilterGrammar = FilterGrammar;
+}
@@ -0,0 +1,256 @@
+/**
+ * Rule ID allocator for dynamic and session rules
+ *
+ * Every purpose gets its own ID range, so a rule's purpose can be read from its ID and
+ * one purpose can never overwrite another's rules. Allocations are persisted with the same
+ * lifetime as the rules they belong to:
+ * - dynamic rules survive restarts → chrome.storage.local
+ * - session rules are gone after a restart → chrome.storage.session
+ * Freed IDs are handed out again, the lowest free ID of a range always comes first.
+ */
+
+// ID ranges and per-purpose quotas - block and redirect rules count against Chrome's
+// smaller "unsafe" limit (5000), so custom rules stay well below it
+const CONFIG = {
+    PURPOSES: {
+        allowlist: { base: 1000000, quota: { dynamic: 10000, session: 2000 } },
+        custom: { base: 2000000, quota: { dynamic: 2500, session: 1000 } }
+    },
+    RANGE_SIZE: 1000000,
+    STORAGE_KEY: 'ruleIdAllocations',
+    // Fallbacks for browsers that do not expose the limits
+    DEFAULT_MAX_DYNAMIC_RULES: 5000,
+    DEFAULT_MAX_SESSION_RULES: 5000
+};
+
+export const RULE_PURPOSES = Object.keys(CONFIG.PURPOSES);
+
+// Allocations change in read-modify-write steps, two of them at once would hand out the same ID
+let allocatorLock = Promise.resolve();
+
+/**
+ * Run an allocator step after every step queued before it
+ * @param {Function} step - Async function
+ * @returns {Promise<*>} Result of the step
+ */
+function withLock(step) {
+    const run = allocatorLock.then(step);
+    allocatorLock = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Storage area that lives exactly as long as the rules of a scope
+ * @param {string} scope - 'dynamic' or 'session'
+ * @returns {chrome.storage.StorageArea} Storage area
+ */
+function storageFor(scope) {
+    if (scope === 'dynamic') return chrome.storage.local;
+    if (scope === 'session') return chrome.storage.session;
+    throw new Error(`Unknown rule scope: ${scope}`);
+}
+
+/**
+ * Validate a purpose name
+ * @param {string} purpose - Purpose name
+ * @returns {Object} Purpose configuration
+ * @throws {Error} When the purpose is unknown
+ */
+function purposeConfig(purpose) {
+    const config = CONFIG.PURPOSES[purpose];
+    if (!config) {
+        throw new Error(`Unknown rule purpose: ${purpose} (expected ${RULE_PURPOSES.join(', ')})`);
+    }
+    return config;
+}
+
+/**
+ * Chrome's rule limit for a scope
+ * @param {string} scope - 'dynamic' or 'session'
+ * @returns {number} Maximum number of rules
+ */
+function scopeLimit(scope) {
+    const dnr = chrome.declarativeNetRequest;
+    return scope === 'dynamic' ?
+        dnr.MAX_NUMBER_OF_DYNAMIC_RULES || CONFIG.DEFAULT_MAX_DYNAMIC_RULES :
+        dnr.MAX_NUMBER_OF_SESSION_RULES || CONFIG.DEFAULT_MAX_SESSION_RULES;
+}
+
+/**
+ * Read the allocations of a scope
+ * @param {string} scope - 'dynamic' or 'session'
+ * @returns {Promise<Object>} { [purpose]: { [key]: number[] } }
+ */
+async function readAllocations(scope) {
+    const result = await storageFor(scope).get([CONFIG.STORAGE_KEY]);
+    const allocations = result[CONFIG.STORAGE_KEY] || {};
+    for (const purpose of RULE_PURPOSES) {
+        if (!allocations[purpose]) allocations[purpose] = {};
+    }
+    return allocations;
+}
+
+/**
+ * Number of IDs allocated in a scope
+ * @param {Object} allocations - Allocations of the scope
+ * @param {string} [purpose] - Only count this purpose
+ * @returns {number} Allocated IDs
+ */
+function countAllocated(allocations, purpose) {
+    const purposes = purpose ? [purpose] : RULE_PURPOSES;
+    return purposes.reduce((sum, name) =>
+        sum + Object.values(allocations[name]).reduce((count, ids) => count + ids.length, 0), 0);
+}
+
+/**
+ * Hand out IDs for new keys, keep the IDs of existing ones
+ * @param {string} scope - 'dynamic' or 'session'
+ * @param {Object} allocations - Allocations of the scope, updated in place
+ * @param {string} purpose - Purpose name
+ * @param {Array<string>} keys - Keys that need IDs
+ * @param {number} idsPerKey - IDs per key
+ * @throws {Error} When the purpose quota or Chrome's limit would be exceeded
+ */
+function assignIds(scope, allocations, purpose, keys, idsPerKey) {
+    const config = purposeConfig(purpose);
+    const owned = allocations[purpose];
+    const newKeys = keys.filter(key => !owned[key]);
+    const requested = newKeys.length * idsPerKey;
+    if (requested === 0) return;
+    
+    const quota = config.quota[scope];
+    if (countAllocated(allocations, purpose) + requested > quota) {
+        throw new Error(`Rule quota exceeded: ${purpose} may use ${quota} ${scope} rule IDs`);
+    }
+    const limit = scopeLimit(scope);
+    if (countAllocated(allocations) + requested > limit) {
+        throw new Error(`Rule quota exceeded: Chrome allows ${limit} ${scope} rules`);
+    }
+    
+    const used = new Set(Object.values(owned).flat());
+    let candidate = firstRuleId(purpose);
+    for (const key of newKeys) {
+        const ids = [];
+        while (ids.length < idsPerKey) {
+            if (!used.has(candidate)) {
+                ids.push(candidate);
+                used.add(candidate);
+            }
+            candidate++;
+        }
+        owned[key] = ids;
+    }
+}
+
+/**
+ * IDs for one key, allocating them on first use
+ * @param {string} scope - 'dynamic' or 'session'
+ * @param {string} purpose - 'allowlist' or 'custom'
+ * @param {string} key - What the rules belong to, e.g. a domain
+ * @param {number} count - Number of IDs the key needs
+ * @returns {Promise<number[]>} Rule IDs
+ * @throws {Error} When the quota is exhausted
+ */
+export function allocateRuleIds(scope, purpose, key, count = 1) {
+    return withLock(async () => {
+        const allocations = await readAllocations(scope);
+        // A key keeps its IDs, asking again with a larger count does not grow it
+        if (!allocations[purpose]?.[key]) {
+            assignIds(scope, allocations, purpose, [key], count);
+            await storageFor(scope).set({ [CONFIG.STORAGE_KEY]: allocations });
+        }
+        return allocations[purpose][key];
+    });
+}
+
+/**
+ * Free the IDs of a key so they can be handed out again
+ * @param {string} scope - 'dynamic' or 'session'
+ * @param {string} purpose - Purpose name
+ * @param {string} key - Key whose IDs are released
+ * @returns {Promise<number[]>} Released IDs, empty if the key had none
+ */
+export function releaseRuleIds(scope, purpose, key) {
+    return withLock(async () => {
+        purposeConfig(purpose);
+        const allocations = await readAllocations(scope);
+        const ids = allocations[purpose][key] || [];
+        if (ids.length > 0) {
+            delete allocations[purpose][key];
+            await storageFor(scope).set({ [CONFIG.STORAGE_KEY]: allocations });
+        }
+        return ids;
+    });
+}
+
+/**
+ * Make the allocations of a purpose match a set of keys: new keys get IDs, missing keys are released
+ * @param {string} scope - 'dynamic' or 'session'
+ * @param {string} purpose - Purpose name
+ * @param {Array<string>} keys - Every key that should have IDs
+ * @param {number} idsPerKey - IDs per key
+ * @returns {Promise<Map<string, number[]>>} IDs by key
+ * @throws {Error} When the quota is exhausted - nothing is changed then
+ */
+export function syncRuleIds(scope, purpose, keys, idsPerKey = 1) {
+    return withLock(async () => {
+        purposeConfig(purpose);
+        const allocations = await readAllocations(scope);
+        const wanted = new Set(keys);
+        
+        // Release first, so the freed IDs are available to the new keys
+        for (const key of Object.keys(allocations[purpose])) {
+            if (!wanted.has(key)) delete allocations[purpose][key];
+        }
+        assignIds(scope, allocations, purpose, [...wanted], idsPerKey);
+        
+        await storageFor(scope).set({ [CONFIG.STORAGE_KEY]: allocations });
+        return new Map([...wanted].map(key => [key, allocations[purpose][key]]));
+    });
+}
+
+/**
+ * Current allocations of a purpose
+ * @param {string} scope - 'dynamic' or 'session'
+ * @param {string} purpose - Purpose name
+ * @returns {Promise<Map<string, number[]>>} IDs by key
+ */
+export async function getRuleIds(scope, purpose) {
+    purposeConfig(purpose);
+    const allocations = await readAllocations(scope);
+    return new Map(Object.entries(allocations[purpose]));
+}
+
+/**
+ * Purpose a rule ID was allocated for, read from its range
+ * @param {number} ruleId - Rule ID
+ * @returns {string|null} Purpose, null for IDs outside every range (e.g. from older versions)
+ */
+export function purposeOfRuleId(ruleId) {
+    for (const [purpose, config] of Object.entries(CONFIG.PURPOSES)) {
+        if (ruleId > config.base && ruleId < config.base + CONFIG.RANGE_SIZE) return purpose;
+    }
+    return null;
+}
+
+/**
+ * First ID of a purpose's range - a fresh allocation starts here and counts up
+ * @param {string} purpose - Purpose name
+ * @returns {number} Rule ID
+ */
+export function firstRuleId(purpose) {
+    return purposeConfig(purpose).base + 1;
+}
+
+/**
+ * Usage per purpose against its quota, e.g. for the stats
+ * @param {string} scope - 'dynamic' or 'session'
+ * @returns {Promise<Object>} { [purpose]: { used, quota } }
+ */
+export async function getRuleIdUsage(scope) {
+    const allocations = await readAllocations(scope);
+    return Object.fromEntries(RULE_PURPOSES.map(purpose => [purpose, {
+        used: countAllocated(allocations, purpose),
+        quota: CONFIG.PURPOSES[purpose].quota[scope]
+    }]));
+}
@@ -18,6 +18,10 @@ const KONFIGURATION = {
 // Globale Variablen um Chaos zu vermeiden
 let gerade_am_togglen = false;
 let aktuellerTab = null;
+// Wofür der Schalter gerade gilt: 'tab' (nur dieser Tab), 'site' (die Seite in allen Tabs) oder 'global'
+let aktiverScope = 'site';
+// Laufende Pause: der Background schaltet nach Ablauf per chrome.alarms wieder ein, hier läuft nur die Anzeige
+let countdownTimer = null;
 
 // Direkte DOM-Zugriffe sind performanter
 
@@ -30,6 +34,57 @@ function formatNumber(num) {
     return num.toString();
 }
 
+// "in 3 Tagen" / "vor 5 Stunden" für das Ablaufdatum der Listen
+const relativeZeit = new Intl.RelativeTimeFormat('de', { numeric: 'auto' });
+
+function formatRelativeTime(zeitpunkt) {
+    const stunden = Math.round((zeitpunkt - Date.now()) / (60 * 60 * 1000));
+    return Math.abs(stunden) >= 48 ?
+        relativeZeit.format(Math.round(stunden / 24), 'day') :
+        relativeZeit.format(stunden, 'hour');
+}
+
+/**
+ * Zeigt die installierten Filterlisten mit Version und Ablauf an
+ */
+function zeigeFilterListen(listen) {
+    const container = document.getElementById('lists-container');
+    const liste = document.getElementById('filter-lists');
+    
+    if (!Array.isArray(listen) || listen.length === 0) {
+        container.hidden = true;
+        return;
+    }
+    
+    // textContent statt innerHTML - Titel kommen aus fremden Listen
+    liste.replaceChildren(...listen.map(filterListe => {
+        const eintrag = document.createElement('li');
+        const titel = document.createElement('span');
+        const details = document.createElement('span');
+        
+        titel.className = 'list-title';
+        titel.textContent = filterListe.title;
+        details.className = 'list-meta';
+        
+        const teile = [filterListe.version];
+        if (filterListe.expiresAt) {
+            teile.push(filterListe.isExpired ?
+                `abgelaufen ${formatRelativeTime(filterListe.expiresAt)}` :
+                `läuft ab ${formatRelativeTime(filterListe.expiresAt)}`);
+        }
+        details.textContent = teile.join(' · ');
+        
+        eintrag.classList.toggle('expired', filterListe.isExpired);
+        eintrag.title = [filterListe.file, filterListe.homepage, filterListe.lastModified && `Stand: ${filterListe.lastModified}`]
+            .filter(Boolean)
+            .join('\n');
+        eintrag.append(titel, details);
+        return eintrag;
+    }));
+    
+    container.hidden = false;
+}
+
 /**
  * Hilfsfunktion für Nachrichten an den Background-Worker mit Timeout
  * Spart mir viel doppelten Code und macht alles stabiler
@@ -80,6 +135,11 @@ async function refreshStats() {
             const formatierteAnzahl = formatNumber(response.rulesCount);
             let statsText = `Aktive Filterregeln: ${formatierteAnzahl}`;
             
+            // Nach dem Batching deckt eine Regel viele Filter ab - beides anzeigen
+            if (response.filtersCount) {
+                statsText += ` (${formatNumber(response.filtersCount)} Filter)`;
+            }
+            
             // Cache-Status anzeigen wenn verfügbar
             if (response.cacheStatus === 'active') {
                 statsText += ' ⚡';
@@ -88,6 +148,19 @@ async function refreshStats() {
             // Direkte DOM-Aktualisierung - schneller als requestAnimationFrame für simplen Text
             statsDisplay.textContent = statsText;
             
+            // Details als Tooltip: woher die Zahl kommt und wie alt die Liste ist
+            if (response.staticRules !== undefined) {
+                statsDisplay.title = [
+                    `Statisch: ${response.staticRules} (${response.enabledRulesets}/${response.totalRulesets} Kategorien)`,
+                    `Dynamisch: ${response.dynamicRules}`,
+                    `Session: ${response.sessionRules}`,
+                    `Listenversion: ${response.listVersion}`,
+                    `Build: ${new Date(response.buildTime).toLocaleString('de-DE')}`
+                ].join('\n');
+            }
+            
+            zeigeFilterListen(response.lists);
+            
         } else {
             // Fallback mit gecachten Daten
             const regelAnzahl = response?.rulesCount || 0;
@@ -104,6 +177,46 @@ async function refreshStats() {
     }
 }
 
+// Restzeit als 4:59 bzw. 1:04:59
+function formatRestzeit(millisekunden) {
+    const sekunden = Math.ceil(millisekunden / 1000);
+    const stunden = Math.floor(sekunden / 3600);
+    const minuten = Math.floor(sekunden / 60) % 60;
+    const rest = String(sekunden % 60).padStart(2, '0');
+    return stunden > 0 ?
+        `${stunden}:${String(minuten).padStart(2, '0')}:${rest}` :
+        `${minuten}:${rest}`;
+}
+
+/**
+ * Zeigt den Countdown einer Pause an (pauseEnde = null blendet ihn aus)
+ */
+function zeigeCountdown(pauseEnde) {
+    const countdown = document.getElementById('pause-countdown');
+    clearInterval(countdownTimer);
+    countdownTimer = null;
+    
+    if (!pauseEnde) {
+        countdown.hidden = true;
+        return;
+    }
+    
+    const aktualisieren = () => {
+        const restzeit = pauseEnde - Date.now();
+        if (restzeit <= 0) {
+            // Pause vorbei - der Alarm im Background hat (gleich) wieder eingeschaltet
+            zeigeCountdown(null);
+            updateStatusUI(true, aktuellerTab?.domain);
+            return;
+        }
+        countdown.textContent = `Wieder aktiv in ${formatRestzeit(restzeit)}`;
+    };
+    
+    aktualisieren();
+    countdown.hidden = false;
+    countdownTimer = setInterval(aktualisieren, 1000);
+}
+
 /**
  * Aktualisiert die UI je nach Status (per-Tab oder global)
  */
@@ -114,7 +227,13 @@ function updateStatusUI(istAktiviert, domain = null) {
     // Direkte DOM-Updates - Browser bündelt das automatisch
     enableSwitch.checked = istAktiviert;
     
-    if (domain) {
+    if (domain && aktiverScope === 'global') {
+        statusText.textContent = istAktiviert ? 'Aktiviert' : 'Überall deaktiviert';
+    } else if (domain && aktiverScope === 'tab') {
+        statusText.textContent = istAktiviert ? 
+            'Aktiviert in diesem Tab' : 
+            'Deaktiviert in diesem Tab';
+    } else if (domain) {
         statusText.textContent = istAktiviert ? 
             `Aktiviert für ${domain}` : 
             `Deaktiviert für ${domain}`;
@@ -125,6 +244,41 @@ function updateStatusUI(istAktiviert, domain = null) {
     document.body.classList.toggle('disabled', !istAktiviert);
 }
 
+/**
+ * Setzt die Auswahl "Nur diesen Tab" / "Diese Seite überall" / "Alle Seiten"
+ */
+function setzeScope(scope) {
+    aktiverScope = scope;
+    document.querySelectorAll('input[name="toggle-scope"]').forEach(radio => {
+        radio.checked = radio.value === scope;
+    });
+}
+
+/**
+ * Toggle-Nachricht für den aktuellen Tab - je nach Scope für den Tab, die ganze Seite oder alles
+ */
+function erstelleToggleNachricht(istAktiviert, scope) {
+    const toggleNachricht = { 
+        type: 'toggleBlocking', 
+        isEnabled: istAktiviert 
+    };
+    
+    // Ausschalten mit gewählter Dauer wird zur Pause
+    const dauer = Number(document.getElementById('pause-duration').value);
+    if (!istAktiviert && dauer > 0) {
+        toggleNachricht.durationMinutes = dauer;
+    }
+    
+    // Per-Tab Info hinzufügen wenn verfügbar
+    if (aktuellerTab && aktuellerTab.domain) {
+        toggleNachricht.domain = aktuellerTab.domain;
+        toggleNachricht.tabId = aktuellerTab.tabId;
+        toggleNachricht.scope = scope;
+    }
+    
+    return toggleNachricht;
+}
+
 /**
  * Hauptinitialisierung des Popups - hier startet alles
  */
@@ -143,7 +297,7 @@ async function initializePopup() {
         // Storage-Daten laden (mit error handling)
         let storageResult;
         try {
-            storageResult = await chrome.storage.local.get(['isEnabled', 'rulesCount', 'lastUpdate', 'version']);
+            storageResult = await chrome.storage.local.get(['isEnabled', 'rulesCount', 'lastUpdate', 'version', 'toggleScope']);
         } catch (error) {
             console.warn('Storage-Zugriff fehlgeschlagen, nutze Fallback:', error);
             storageResult = { isEnabled: true, rulesCount: 0 };
@@ -154,11 +308,28 @@ async function initializePopup() {
         let domain = null;
         
         if (aktuellerTab && aktuellerTab.domain) {
-            istAktiviert = aktuellerTab.isEnabledForDomain;
+            const tabAktiviert = aktuellerTab.isEnabledForTab !== false;
+            istAktiviert = aktuellerTab.isEnabledForDomain && tabAktiviert;
             domain = aktuellerTab.domain;
+            
+            // Eine bestehende Ausnahme bestimmt die Auswahl, sonst die zuletzt benutzte
+            if (storageResult.isEnabled === false) {
+                istAktiviert = false;
+                setzeScope('global');
+            } else if (!aktuellerTab.isEnabledForDomain) {
+                setzeScope('site');
+            } else if (!tabAktiviert) {
+                setzeScope('tab');
+            } else {
+                setzeScope(['tab', 'global'].includes(storageResult.toggleScope) ? storageResult.toggleScope : 'site');
+            }
+            document.getElementById('scope-container').hidden = false;
         }
         
         updateStatusUI(istAktiviert, domain);
+        if (!istAktiviert) {
+            zeigeCountdown(aktuellerTab?.pausedUntil?.[aktiverScope]);
+        }
         
         // Stats vorab anzeigen wenn verfügbar
         if (typeof storageResult.rulesCount === 'number' && storageResult.rulesCount > 0) {
@@ -182,18 +353,8 @@ async function initializePopup() {
                 updateStatusUI(neuerStatus, aktuellerTab?.domain);
                 
                 // Toggle-Nachricht vorbereiten - per-Tab falls verfügbar
-                const toggleNachricht = { 
-                    type: 'toggleBlocking', 
-                    isEnabled: neuerStatus 
-                };
-                
-                // Per-Tab Info hinzufügen wenn verfügbar
-                if (aktuellerTab && aktuellerTab.domain) {
-                    toggleNachricht.domain = aktuellerTab.domain;
-                    toggleNachricht.tabId = aktuellerTab.tabId;
-                }
-                
-                await createTimeoutMessage(toggleNachricht, KONFIGURATION.TOGGLE_TIMEOUT);
+                const antwort = await createTimeoutMessage(erstelleToggleNachricht(neuerStatus, aktiverScope), KONFIGURATION.TOGGLE_TIMEOUT);
+                zeigeCountdown(antwort?.pausedUntil);
                 
                 // Stats sofort aktualisieren
                 await refreshStats();
@@ -217,7 +378,38 @@ async function initializePopup() {
                 gerade_am_togglen = false;
             }
         });
-
+        
+        // Scope-Auswahl: merken, und eine bestehende Ausnahme auf den neuen Bereich umziehen
+        document.querySelectorAll('input[name="toggle-scope"]').forEach(radio => {
+            radio.addEventListener('change', async () => {
+                const alterScope = aktiverScope;
+                const neuerScope = radio.value;
+                chrome.storage.local.set({ toggleScope: neuerScope });
+                
+                if (enableSwitch.checked || gerade_am_togglen) {
+                    aktiverScope = neuerScope;
+                    updateStatusUI(enableSwitch.checked, aktuellerTab?.domain);
+                    return;
+                }
+                
+                gerade_am_togglen = true;
+                try {
+                    // Erst die alte Ausnahme aufheben (ohne Reload), dann die neue setzen
+                    await createTimeoutMessage({ ...erstelleToggleNachricht(true, alterScope), reload: false }, KONFIGURATION.TOGGLE_TIMEOUT);
+                    const antwort = await createTimeoutMessage(erstelleToggleNachricht(false, neuerScope), KONFIGURATION.TOGGLE_TIMEOUT);
+                    zeigeCountdown(antwort?.pausedUntil);
+                    aktiverScope = neuerScope;
+                    updateStatusUI(false, aktuellerTab?.domain);
+                    await refreshStats();
+                } catch (error) {
+                    console.error('Scope-Wechsel fehlgeschlagen:', error);
+                    setzeScope(alterScope);
+                } finally {
+                    gerade_am_togglen = false;
+                }
+            });
+        });
+        
         // Refresh-Button mit Rate-Limiting (gegen Spam-Clicks)
         const refreshButton = document.getElementById('refresh-button');
         refreshButton.addEventListener('click', () => {
@@ -246,7 +438,7 @@ async function initializePopup() {
                 }, KONFIGURATION.ANIMATION_DURATION + 50);
             });
         });
-
+        
         // Stats initial laden
         await refreshStats();
         
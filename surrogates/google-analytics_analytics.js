@@ -0,0 +1,32 @@
+/**
+ * Pagy Blocker surrogate for google-analytics.com/analytics.js
+ * Keeps the ga() command queue working and runs hitCallback, which outbound links often wait for.
+ */
+(function() {
+    'use strict';
+    
+    const noop = function() {};
+    const tracker = { get: noop, set: noop, send: noop };
+    
+    const ga = function(...args) {
+        const last = args[args.length - 1];
+        if (typeof last === 'function') {
+            last(tracker);
+        } else if (last && typeof last.hitCallback === 'function') {
+            setTimeout(last.hitCallback, 1);
+        }
+    };
+    ga.create = function() { return tracker; };
+    ga.getByName = function() { return tracker; };
+    ga.getAll = function() { return [tracker]; };
+    ga.remove = noop;
+    ga.loaded = true;
+    
+    // Commands queued before the script "loaded" must not be lost
+    const name = window.GoogleAnalyticsObject || 'ga';
+    const queued = window[name] && window[name].q;
+    window[name] = ga;
+    if (Array.isArray(queued)) {
+        queued.forEach(args => ga(...args));
+    }
+})();
@@ -0,0 +1,12 @@
+/**
+ * Pagy Blocker surrogate for pagead2.googlesyndication.com/pagead/js/adsbygoogle.js
+ * Page code pushes ad slots into window.adsbygoogle and breaks if push() throws.
+ */
+(function() {
+    'use strict';
+    
+    window.adsbygoogle = {
+        loaded: true,
+        push: function() {}
+    };
+})();
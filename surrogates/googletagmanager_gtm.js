@@ -0,0 +1,25 @@
+/**
+ * Pagy Blocker surrogate for googletagmanager.com/gtm.js
+ * Pages push events with an eventCallback and wait for it before navigating, so callbacks still run.
+ */
+(function() {
+    'use strict';
+    
+    const noop = function() {};
+    const runCallback = function(event) {
+        if (event && typeof event.eventCallback === 'function') {
+            setTimeout(event.eventCallback, 1);
+        }
+    };
+    
+    const dataLayer = window.dataLayer = window.dataLayer || [];
+    dataLayer.forEach(runCallback);
+    dataLayer.push = function(...events) {
+        events.forEach(runCallback);
+        return Array.prototype.push.apply(this, events);
+    };
+    
+    window.google_tag_manager = window.google_tag_manager || {
+        dataLayer: { get: noop, set: noop, reset: noop }
+    };
+})();
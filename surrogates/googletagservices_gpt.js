@@ -0,0 +1,72 @@
+/**
+ * Pagy Blocker surrogate for googletagservices.com/tag/js/gpt.js
+ * Sites queue their ad setup in googletag.cmd, the callbacks run against a slot API that does nothing.
+ */
+(function() {
+    'use strict';
+    
+    const noop = function() {};
+    const noopThis = function() { return this; };
+    
+    const slot = {
+        addService: noopThis,
+        clearCategoryExclusions: noopThis,
+        clearTargeting: noopThis,
+        defineSizeMapping: noopThis,
+        get: noop,
+        getAdUnitPath: function() { return ''; },
+        getSlotElementId: function() { return ''; },
+        getTargeting: function() { return []; },
+        getTargetingKeys: function() { return []; },
+        set: noopThis,
+        setCategoryExclusion: noopThis,
+        setCollapseEmptyDiv: noopThis,
+        setTargeting: noopThis
+    };
+    
+    const pubads = {
+        addEventListener: noopThis,
+        removeEventListener: noopThis,
+        clear: noop,
+        collapseEmptyDivs: noopThis,
+        disableInitialLoad: noop,
+        enableAsyncRendering: noopThis,
+        enableLazyLoad: noop,
+        enableSingleRequest: noopThis,
+        getSlots: function() { return []; },
+        getTargeting: function() { return []; },
+        refresh: noop,
+        set: noopThis,
+        setCentering: noop,
+        setPrivacySettings: noopThis,
+        setRequestNonPersonalizedAds: noopThis,
+        setTargeting: noopThis
+    };
+    
+    const queued = window.googletag && Array.isArray(window.googletag.cmd) ? window.googletag.cmd : [];
+    const run = function(callback) {
+        try {
+            callback();
+        } catch (error) {
+            // Page callbacks fail on their own, the queue keeps going like with the real library
+        }
+    };
+    
+    window.googletag = {
+        apiReady: true,
+        pubadsReady: true,
+        cmd: { push: function(...callbacks) { callbacks.forEach(run); return callbacks.length; } },
+        companionAds: function() { return { setRefreshUnfilledSlots: noop }; },
+        defineOutOfPageSlot: function() { return slot; },
+        defineSlot: function() { return slot; },
+        destroySlots: noop,
+        display: noop,
+        enableServices: noop,
+        getVersion: function() { return ''; },
+        pubads: function() { return pubads; },
+        setAdIframeTitle: noop,
+        sizeMapping: function() { return { addSize: noopThis, build: function() { return []; } }; }
+    };
+    
+    queued.forEach(run);
+})();
@@ -0,0 +1,6 @@
+/**
+ * Pagy Blocker surrogate - empty script for blocked scripts nobody calls into
+ */
+(function() {
+    'use strict';
+})();
@@ -0,0 +1,681 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { buildDomainAllowRules } = require('./dnr_emulator');
+
+const BACKGROUND_PATH = path.join(__dirname, 'background', 'background.js');
+const ALLOCATOR_PATH = path.join(__dirname, 'js', 'rule_id_allocator.js');
+
+let failures = 0;
+let wakeCount = 0;
+
+/**
+ * Run one named async check and report it like test_filters.js does
+ * @param {string} name - Check description
+ * @param {Function} check - Rejects with an AssertionError when the check fails
+ */
+async function test(name, check) {
+  try {
+    await check();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}\n   ${error.message}`);
+  }
+}
+
+/**
+ * Minimal in-memory chrome.* API - just what the service worker touches
+ * @param {Object} state - Initial storage.local contents, installed rules and the active tab
+ * @returns {Object} { chrome, state, listeners }
+ */
+function createChromeStub({ storage = {}, dynamicRules = [], sessionRules = [], activeTab = null } = {}) {
+  const state = {
+    storage: structuredClone(storage),
+    sessionStorage: {},
+    dynamicRules: structuredClone(dynamicRules),
+    sessionRules: structuredClone(sessionRules),
+    enabledRulesets: [],
+    alarms: {},
+    reloadedTabs: [],
+    tabMessages: []
+  };
+  const listeners = {};
+  const event = name => ({ addListener(listener) { listeners[name] = listener; } });
+  const pick = (store, keys) => keys == null ? structuredClone(store) :
+    Object.fromEntries([].concat(keys).filter(key => key in store).map(key => [key, structuredClone(store[key])]));
+  const updateRules = list => async ({ removeRuleIds = [], addRules = [] }) => {
+    const remaining = state[list].filter(rule => !removeRuleIds.includes(rule.id));
+    const duplicate = addRules.find(rule => remaining.some(existing => existing.id === rule.id));
+    if (duplicate) {
+      // Chrome rejects the whole update when an ID is already taken
+      throw new Error(`Rule with id ${duplicate.id} already exists`);
+    }
+    state[list] = remaining.concat(structuredClone(addRules));
+  };
+
+  const chrome = {
+    runtime: {
+      onInstalled: event('onInstalled'),
+      onStartup: event('onStartup'),
+      onMessage: event('onMessage'),
+      getManifest: () => ({ version: '0.0.0', declarative_net_request: { rule_resources: [{ id: 'ads' }, { id: 'tracking' }] } }),
+      getURL: file => file
+    },
+    storage: {
+      local: {
+        get: async keys => pick(state.storage, keys),
+        set: async items => { Object.assign(state.storage, structuredClone(items)); },
+        remove: async keys => { [].concat(keys).forEach(key => delete state.storage[key]); }
+      },
+      session: {
+        get: async keys => pick(state.sessionStorage, keys),
+        set: async items => { Object.assign(state.sessionStorage, structuredClone(items)); }
+      }
+    },
+    declarativeNetRequest: {
+      onRuleMatchedDebug: event('onRuleMatchedDebug'),
+      DYNAMIC_RULESET_ID: '_dynamic',
+      SESSION_RULESET_ID: '_session',
+      MAX_NUMBER_OF_DYNAMIC_RULES: 30000,
+      MAX_NUMBER_OF_SESSION_RULES: 5000,
+      getDynamicRules: async () => structuredClone(state.dynamicRules),
+      getSessionRules: async () => structuredClone(state.sessionRules),
+      getEnabledRulesets: async () => [...state.enabledRulesets],
+      updateEnabledRulesets: async ({ enableRulesetIds = [], disableRulesetIds = [] }) => {
+        state.enabledRulesets = [...new Set(state.enabledRulesets.filter(id => !disableRulesetIds.includes(id)).concat(enableRulesetIds))];
+      },
+      isRegexSupported: async () => ({ isSupported: true }),
+      updateDynamicRules: updateRules('dynamicRules'),
+      updateSessionRules: updateRules('sessionRules')
+    },
+    webRequest: {
+      onCompleted: event('onCompleted'),
+      onBeforeSendHeaders: event('onBeforeSendHeaders')
+    },
+    tabs: {
+      onRemoved: event('onRemoved'),
+      onUpdated: event('onUpdated'),
+      onActivated: event('onActivated'),
+      reload: async tabId => { state.reloadedTabs.push(tabId); },
+      sendMessage: async (tabId, message) => { state.tabMessages.push([tabId, message]); },
+      query: async () => activeTab ? [activeTab] : []
+    },
+    alarms: {
+      onAlarm: event('onAlarm'),
+      create: async (name, { when }) => { state.alarms[name] = when; },
+      clear: async name => delete state.alarms[name],
+      get: async name => state.alarms[name] && { name, scheduledTime: state.alarms[name] }
+    }
+  };
+  return { chrome, state, listeners };
+}
+
+/**
+ * Let fire-and-forget work (wake-up reconciliation, listeners) finish
+ * @returns {Promise<void>}
+ */
+function settle() {
+  return new Promise(resolve => setTimeout(resolve, 20));
+}
+
+/**
+ * Run an async step without the worker's progress output
+ * @param {Function} step - Step that logs through console
+ * @returns {Promise<*>} Whatever the step resolves to
+ */
+async function silently(step) {
+  const { log, warn } = console;
+  console.log = console.warn = () => {};
+  try {
+    return await step();
+  } finally {
+    Object.assign(console, { log, warn });
+  }
+}
+
+/**
+ * Evaluate a fresh copy of the service worker against a new chrome stub - one call per simulated wake
+ * @param {Object} initial - See createChromeStub
+ * @returns {Promise<Object>} { chrome, state, listeners, send }
+ */
+async function wakeServiceWorker(initial) {
+  const { chrome, state, listeners } = createChromeStub(initial);
+  globalThis.chrome = chrome;
+  // In Node the grammar exports through module.exports, the worker reads it from globalThis like in the browser
+  globalThis.FilterGrammar = require('./js/filter_grammar');
+  globalThis.fetch = async () => ({ ok: false, json: async () => ({}) });
+
+  await silently(async () => {
+    // The query string gives a fresh ES module instance; a worker without imports loads as CommonJS and is cached by path
+    delete require.cache[BACKGROUND_PATH];
+    await import(`${pathToFileURL(BACKGROUND_PATH).href}?wake=${++wakeCount}`);
+    await settle();
+  });
+
+  const send = (request, sender = {}) => silently(() => new Promise(resolve => listeners.onMessage(request, sender, resolve)));
+  return { chrome, state, listeners, send };
+}
+
+/**
+ * Allow rule the way versions before the ID allocator built it, with a hashed ID
+ * @param {number} id - Hashed rule ID
+ * @param {string} domain - Site
+ * @param {string} field - 'initiatorDomains' or 'requestDomains'
+ * @returns {Object} DNR rule
+ */
+function legacyAllowRule(id, domain, field = 'initiatorDomains') {
+  return { id, priority: 100000, action: { type: 'allow' }, condition: { [field]: [domain], resourceTypes: ['script', 'image'] } };
+}
+
+/**
+ * IDs of the installed allowlist rules, sorted
+ * @param {Array} rules - Installed rules
+ * @param {string} domain - Only rules for this site
+ * @returns {Array<number>} Rule IDs
+ */
+function allowRuleIdsFor(rules, domain) {
+  return rules
+    .filter(rule => rule.action.type === 'allow' && !rule.condition.tabIds &&
+      [rule.condition.initiatorDomains, rule.condition.requestDomains].some(domains => domains?.includes(domain)))
+    .map(rule => rule.id)
+    .sort((a, b) => a - b);
+}
+
+async function main() {
+  console.log('🧪 Background service worker tests\n');
+
+  const { allocateRuleIds, releaseRuleIds, syncRuleIds, getRuleIds, getRuleIdUsage, purposeOfRuleId, firstRuleId } =
+    await import(pathToFileURL(ALLOCATOR_PATH).href);
+
+  console.log('🔹 1. Allowlist reconciliation');
+
+  await test('Wake-up installs missing allow rules for every stored domain', async () => {
+    const { state } = await wakeServiceWorker({ storage: { disabledDomains: ['shop.example', 'news.example'] } });
+    assert.strictEqual(allowRuleIdsFor(state.dynamicRules, 'shop.example').length, 2);
+    assert.strictEqual(allowRuleIdsFor(state.dynamicRules, 'news.example').length, 2);
+    assert.strictEqual(state.dynamicRules.length, 4);
+  });
+
+  await test('Wake-up removes allow rules of domains no longer in storage and keeps other rules', async () => {
+    const first = await wakeServiceWorker({ storage: { disabledDomains: ['shop.example', 'old.example'] } });
+    const unrelated = { id: 7, priority: 1, action: { type: 'block' }, condition: { urlFilter: '||ads.example^' } };
+    const { state } = await wakeServiceWorker({
+      storage: { disabledDomains: ['shop.example'] },
+      dynamicRules: [...first.state.dynamicRules, unrelated]
+    });
+    assert.deepStrictEqual(allowRuleIdsFor(state.dynamicRules, 'old.example'), []);
+    assert.deepStrictEqual(allowRuleIdsFor(state.dynamicRules, 'shop.example'), allowRuleIdsFor(first.state.dynamicRules, 'shop.example'));
+    assert.ok(state.dynamicRules.some(rule => rule.id === 7), 'unrelated dynamic rule was removed');
+  });
+
+  await test('Wake-up repairs a half-installed or altered allowlist', async () => {
+    const first = await wakeServiceWorker({ storage: { disabledDomains: ['shop.example'] } });
+    const [initiatorRule, requestRule] = first.state.dynamicRules;
+    const altered = structuredClone(requestRule);
+    altered.condition.resourceTypes = ['script'];
+    const { state } = await wakeServiceWorker({
+      storage: { disabledDomains: ['shop.example'] },
+      dynamicRules: [initiatorRule, altered]
+    });
+    assert.deepStrictEqual(state.dynamicRules.map(rule => rule.id).sort(), first.state.dynamicRules.map(rule => rule.id).sort());
+    assert.deepStrictEqual(state.dynamicRules.find(rule => rule.id === requestRule.id), requestRule);
+  });
+
+  await test('Wake-up leaves a consistent allowlist untouched', async () => {
+    const first = await wakeServiceWorker({ storage: { disabledDomains: ['shop.example'] } });
+    const { state } = await wakeServiceWorker({ storage: { disabledDomains: ['shop.example'] }, dynamicRules: first.state.dynamicRules });
+    assert.deepStrictEqual(state.dynamicRules, first.state.dynamicRules);
+  });
+
+  await test('Wake-up drops allow rules left in session rules by older versions', async () => {
+    const { state } = await wakeServiceWorker({
+      storage: { disabledDomains: ['shop.example'] },
+      sessionRules: [legacyAllowRule(123456789, 'shop.example'), legacyAllowRule(123456790, 'shop.example', 'requestDomains')]
+    });
+    assert.deepStrictEqual(state.sessionRules, []);
+    assert.strictEqual(allowRuleIdsFor(state.dynamicRules, 'shop.example').length, 2);
+  });
+
+  await test('Wake-up moves hashed allow rules of older versions into the allowlist ID range', async () => {
+    const { state } = await wakeServiceWorker({
+      storage: { disabledDomains: ['shop.example'] },
+      dynamicRules: [legacyAllowRule(123456789, 'shop.example'), legacyAllowRule(123456790, 'shop.example', 'requestDomains')]
+    });
+    const ids = allowRuleIdsFor(state.dynamicRules, 'shop.example');
+    assert.strictEqual(ids.length, 2);
+    assert.ok(ids.every(id => purposeOfRuleId(id) === 'allowlist'), `unexpected IDs ${ids}`);
+  });
+
+  await test('Removing a domain frees its rule IDs for the next one', async () => {
+    const first = await wakeServiceWorker({ storage: { disabledDomains: ['shop.example', 'old.example'] } });
+    const freedIds = allowRuleIdsFor(first.state.dynamicRules, 'old.example');
+    const { state, send } = await wakeServiceWorker({ storage: first.state.storage, dynamicRules: first.state.dynamicRules });
+    await send({ type: 'toggleBlocking', isEnabled: true, domain: 'old.example' });
+    await send({ type: 'toggleBlocking', isEnabled: false, domain: 'new.example' });
+    assert.deepStrictEqual(allowRuleIdsFor(state.dynamicRules, 'new.example'), freedIds);
+    assert.deepStrictEqual(allowRuleIdsFor(state.dynamicRules, 'shop.example'), allowRuleIdsFor(first.state.dynamicRules, 'shop.example'));
+  });
+
+  await test('Toggling a domain off and on again updates storage and dynamic rules', async () => {
+    const { state, send } = await wakeServiceWorker({ storage: { disabledDomains: [] } });
+    const off = await send({ type: 'toggleBlocking', isEnabled: false, domain: 'shop.example', tabId: 3 });
+    assert.deepStrictEqual(off, { success: true, isEnabled: false, pausedUntil: null });
+    assert.deepStrictEqual(state.storage.disabledDomains, ['shop.example']);
+    assert.strictEqual(allowRuleIdsFor(state.dynamicRules, 'shop.example').length, 2);
+    assert.deepStrictEqual(state.reloadedTabs, [3]);
+
+    await send({ type: 'toggleBlocking', isEnabled: true, domain: 'shop.example' });
+    assert.deepStrictEqual(state.storage.disabledDomains, []);
+    assert.deepStrictEqual(state.dynamicRules, []);
+  });
+
+  console.log('\n🔹 2. Rule ID allocator');
+
+  await test('IDs come from the purpose range and a key keeps its IDs', async () => {
+    ({ chrome: globalThis.chrome } = createChromeStub());
+    const ids = await allocateRuleIds('dynamic', 'allowlist', 'shop.example', 2);
+    assert.deepStrictEqual(ids, [1000001, 1000002]);
+    assert.deepStrictEqual(await allocateRuleIds('dynamic', 'allowlist', 'shop.example', 2), ids);
+    assert.deepStrictEqual(await allocateRuleIds('dynamic', 'custom', 'rule', 1), [firstRuleId('custom')]);
+    assert.strictEqual(purposeOfRuleId(1000001), 'allowlist');
+    assert.strictEqual(purposeOfRuleId(2000001), 'custom');
+    assert.strictEqual(purposeOfRuleId(123456789), null);
+  });
+
+  await test('Released IDs are handed out again, lowest first', async () => {
+    ({ chrome: globalThis.chrome } = createChromeStub());
+    await allocateRuleIds('dynamic', 'allowlist', 'a.example', 2);
+    await allocateRuleIds('dynamic', 'allowlist', 'b.example', 2);
+    await allocateRuleIds('dynamic', 'allowlist', 'c.example', 2);
+    assert.deepStrictEqual(await releaseRuleIds('dynamic', 'allowlist', 'b.example'), [1000003, 1000004]);
+    assert.deepStrictEqual(await releaseRuleIds('dynamic', 'allowlist', 'b.example'), []);
+    assert.deepStrictEqual(await allocateRuleIds('dynamic', 'allowlist', 'd.example', 2), [1000003, 1000004]);
+    assert.deepStrictEqual(await allocateRuleIds('dynamic', 'allowlist', 'e.example', 2), [1000007, 1000008]);
+  });
+
+  await test('syncRuleIds releases missing keys before allocating new ones', async () => {
+    ({ chrome: globalThis.chrome } = createChromeStub());
+    await syncRuleIds('dynamic', 'allowlist', ['a.example', 'b.example'], 2);
+    const ids = await syncRuleIds('dynamic', 'allowlist', ['b.example', 'c.example'], 2);
+    assert.deepStrictEqual(ids.get('b.example'), [1000003, 1000004]);
+    assert.deepStrictEqual(ids.get('c.example'), [1000001, 1000002]);
+    assert.deepStrictEqual([...(await getRuleIds('dynamic', 'allowlist')).keys()].sort(), ['b.example', 'c.example']);
+  });
+
+  await test('Dynamic allocations live in storage.local, session allocations in storage.session', async () => {
+    const stub = createChromeStub();
+    globalThis.chrome = stub.chrome;
+    await allocateRuleIds('dynamic', 'allowlist', 'shop.example', 2);
+    await allocateRuleIds('session', 'allowlist', 'tab:1', 2);
+    assert.deepStrictEqual(Object.keys(stub.state.storage.ruleIdAllocations.allowlist), ['shop.example']);
+    assert.deepStrictEqual(Object.keys(stub.state.sessionStorage.ruleIdAllocations.allowlist), ['tab:1']);
+  });
+
+  await test('A purpose cannot exceed its quota and a failed sync changes nothing', async () => {
+    ({ chrome: globalThis.chrome } = createChromeStub());
+    const { quota } = (await getRuleIdUsage('session')).custom;
+    const keys = Array.from({ length: quota + 1 }, (_, i) => `rule-${i}`);
+    await assert.rejects(syncRuleIds('session', 'custom', keys), /custom may use/);
+    assert.strictEqual((await getRuleIds('session', 'custom')).size, 0);
+    await syncRuleIds('session', 'custom', keys.slice(1));
+    assert.deepStrictEqual(await getRuleIdUsage('session').then(usage => usage.custom), { used: quota, quota });
+    await assert.rejects(allocateRuleIds('session', 'custom', 'one-more'), /quota exceeded/);
+  });
+
+  await test("All purposes together stay below Chrome's rule limit", async () => {
+    const stub = createChromeStub();
+    stub.chrome.declarativeNetRequest.MAX_NUMBER_OF_DYNAMIC_RULES = 5;
+    globalThis.chrome = stub.chrome;
+    await allocateRuleIds('dynamic', 'allowlist', 'a.example', 2);
+    await allocateRuleIds('dynamic', 'custom', 'rule', 2);
+    await assert.rejects(allocateRuleIds('dynamic', 'allowlist', 'b.example', 2), /Chrome allows 5 dynamic rules/);
+    assert.deepStrictEqual(await allocateRuleIds('dynamic', 'allowlist', 'c.example', 1), [1000003]);
+  });
+
+  await test('Concurrent allocations never share an ID', async () => {
+    ({ chrome: globalThis.chrome } = createChromeStub());
+    const results = await Promise.all(['a', 'b', 'c', 'd'].map(key => allocateRuleIds('dynamic', 'custom', key, 2)));
+    const ids = results.flat();
+    assert.strictEqual(new Set(ids).size, ids.length);
+  });
+
+  await test('test-url builds the same allowlist rules as the worker installs', async () => {
+    const { state } = await wakeServiceWorker({ storage: { disabledDomains: ['shop.example', 'news.example'] } });
+    const emulated = [...buildDomainAllowRules('shop.example', 0), ...buildDomainAllowRules('news.example', 1)];
+    assert.deepStrictEqual(state.dynamicRules, emulated);
+  });
+
+  await test('Unknown purposes and scopes are rejected', async () => {
+    ({ chrome: globalThis.chrome } = createChromeStub());
+    await assert.rejects(allocateRuleIds('dynamic', 'nope', 'key'), /Unknown rule purpose/);
+    await assert.rejects(allocateRuleIds('dynamic', 'ml', 'key'), /Unknown rule purpose/);
+    await assert.rejects(allocateRuleIds('local', 'custom', 'key'), /Unknown rule scope/);
+  });
+
+  console.log('\n🔹 3. Per-tab toggle');
+
+  await test('Disabling blocking for a tab adds one tabIds session rule from the allowlist range', async () => {
+    const { state, send } = await wakeServiceWorker();
+    const response = await send({ type: 'toggleBlocking', scope: 'tab', isEnabled: false, tabId: 5 });
+    assert.deepStrictEqual(response, { success: true, isEnabled: false, pausedUntil: null });
+    assert.strictEqual(state.sessionRules.length, 1);
+    const [rule] = state.sessionRules;
+    assert.deepStrictEqual(rule.condition.tabIds, [5]);
+    assert.strictEqual(rule.action.type, 'allow');
+    assert.strictEqual(purposeOfRuleId(rule.id), 'allowlist');
+    assert.deepStrictEqual(state.sessionStorage.ruleIdAllocations.allowlist, { 'tab:5': [rule.id] });
+    assert.deepStrictEqual(state.dynamicRules, [], 'the site stays blocked in other tabs');
+    assert.deepStrictEqual(state.reloadedTabs, [5]);
+  });
+
+  await test('Disabling a tab twice keeps a single rule and reload: false skips the reload', async () => {
+    const { state, send } = await wakeServiceWorker();
+    await send({ type: 'toggleBlocking', scope: 'tab', isEnabled: false, tabId: 5, reload: false });
+    await send({ type: 'toggleBlocking', scope: 'tab', isEnabled: false, tabId: 5, reload: false });
+    assert.strictEqual(state.sessionRules.length, 1);
+    assert.deepStrictEqual(state.reloadedTabs, []);
+  });
+
+  await test('Re-enabling a tab removes its rule and frees the ID', async () => {
+    const { state, send } = await wakeServiceWorker();
+    await send({ type: 'toggleBlocking', scope: 'tab', isEnabled: false, tabId: 5 });
+    await send({ type: 'toggleBlocking', scope: 'tab', isEnabled: false, tabId: 6 });
+    await send({ type: 'toggleBlocking', scope: 'tab', isEnabled: true, tabId: 5 });
+    assert.deepStrictEqual(state.sessionRules.map(rule => rule.condition.tabIds), [[6]]);
+    assert.deepStrictEqual(Object.keys(state.sessionStorage.ruleIdAllocations.allowlist), ['tab:6']);
+  });
+
+  await test('Closing a tab removes its rule and frees the ID', async () => {
+    const { state, listeners, send } = await wakeServiceWorker();
+    await send({ type: 'toggleBlocking', scope: 'tab', isEnabled: false, tabId: 5 });
+    const [freedId] = state.sessionRules.map(rule => rule.id);
+    await silently(() => listeners.onRemoved(5, {}));
+    assert.deepStrictEqual(state.sessionRules, []);
+    assert.deepStrictEqual(state.sessionStorage.ruleIdAllocations.allowlist, {});
+
+    await send({ type: 'toggleBlocking', scope: 'tab', isEnabled: false, tabId: 9 });
+    assert.deepStrictEqual(state.sessionRules.map(rule => rule.id), [freedId]);
+  });
+
+  await test('Closing a tab also removes a rule the allocator lost track of', async () => {
+    const orphan = { id: 1000042, priority: 100000, action: { type: 'allow' }, condition: { tabIds: [5], resourceTypes: ['script'] } };
+    const { state, listeners } = await wakeServiceWorker({ sessionRules: [orphan] });
+    await silently(() => listeners.onRemoved(5, {}));
+    assert.deepStrictEqual(state.sessionRules, []);
+  });
+
+  await test('Wake-up reconciliation leaves tab rules alone', async () => {
+    const tabRule = { id: 1000001, priority: 100000, action: { type: 'allow' }, condition: { tabIds: [5], resourceTypes: ['script'] } };
+    const { state } = await wakeServiceWorker({ storage: { disabledDomains: ['shop.example'] }, sessionRules: [tabRule] });
+    assert.deepStrictEqual(state.sessionRules, [tabRule]);
+  });
+
+  await test('The popup and the content script see the tab as disabled', async () => {
+    const { send } = await wakeServiceWorker({ activeTab: { id: 5, url: 'https://shop.example/cart' } });
+    assert.strictEqual((await send({ type: 'getCurrentTab' })).isEnabledForTab, true);
+    await send({ type: 'toggleBlocking', scope: 'tab', isEnabled: false, tabId: 5 });
+    const tab = await send({ type: 'getCurrentTab' });
+    assert.strictEqual(tab.isEnabledForTab, false);
+    assert.strictEqual(tab.isEnabledForDomain, true);
+    const cosmetic = await send({ type: 'getCosmeticFilters', hostname: 'shop.example' }, { tab: { id: 5 } });
+    assert.strictEqual(cosmetic.disabled, true);
+  });
+
+  await test('The tab is told to refresh its element hiding on every toggle', async () => {
+    const { state, listeners, send } = await wakeServiceWorker();
+    await send({ type: 'toggleBlocking', scope: 'tab', isEnabled: false, tabId: 5, durationMinutes: 1, reload: false });
+    await silently(() => listeners.onAlarm({ name: 'pause:tab:5' }));
+    assert.deepStrictEqual(state.tabMessages, [[5, { type: 'refreshCosmeticFilters' }], [5, { type: 'refreshCosmeticFilters' }]]);
+  });
+
+  await test('Invalid tab IDs are rejected', async () => {
+    const { state, send } = await wakeServiceWorker();
+    const response = await send({ type: 'toggleBlocking', scope: 'tab', isEnabled: false, tabId: 'x' });
+    assert.ok(response.error, 'expected an error');
+    assert.deepStrictEqual(state.sessionRules, []);
+  });
+
+  console.log('\n🔹 4. Timed pauses');
+
+  await test('Pausing a site allows it and sets an alarm for the end of the pause', async () => {
+    const { state, send } = await wakeServiceWorker();
+    const before = Date.now();
+    const response = await send({ type: 'toggleBlocking', isEnabled: false, domain: 'shop.example', durationMinutes: 5 });
+    assert.ok(response.pausedUntil >= before + 5 * 60 * 1000 && response.pausedUntil <= Date.now() + 5 * 60 * 1000);
+    assert.deepStrictEqual(state.alarms, { 'pause:site:shop.example': response.pausedUntil });
+    assert.deepStrictEqual(state.storage.pauses, { 'pause:site:shop.example': response.pausedUntil });
+    assert.strictEqual(allowRuleIdsFor(state.dynamicRules, 'shop.example').length, 2);
+  });
+
+  await test('The alarm ends a site pause and blocks the site again', async () => {
+    const { state, listeners, send } = await wakeServiceWorker();
+    await send({ type: 'toggleBlocking', isEnabled: false, domain: 'shop.example', durationMinutes: 5 });
+    await silently(() => listeners.onAlarm({ name: 'pause:site:shop.example' }));
+    assert.deepStrictEqual(state.storage.disabledDomains, []);
+    assert.deepStrictEqual(state.dynamicRules, []);
+    assert.deepStrictEqual(state.storage.pauses, {});
+    assert.deepStrictEqual(state.alarms, {});
+  });
+
+  await test('The alarm ends a tab pause and removes the tab rule', async () => {
+    const { state, listeners, send } = await wakeServiceWorker();
+    await send({ type: 'toggleBlocking', scope: 'tab', isEnabled: false, tabId: 5, durationMinutes: 1, reload: false });
+    assert.deepStrictEqual(Object.keys(state.alarms), ['pause:tab:5']);
+    await silently(() => listeners.onAlarm({ name: 'pause:tab:5' }));
+    assert.deepStrictEqual(state.sessionRules, []);
+    assert.deepStrictEqual(state.storage.pauses, {});
+  });
+
+  await test('The alarm ends a global pause and re-enables the rulesets', async () => {
+    const { state, listeners, send } = await wakeServiceWorker({ storage: { isEnabled: true } });
+    await send({ type: 'toggleBlocking', scope: 'global', isEnabled: false, domain: 'shop.example', durationMinutes: 10 });
+    assert.strictEqual(state.storage.isEnabled, false);
+    assert.deepStrictEqual(state.enabledRulesets, []);
+    assert.deepStrictEqual(Object.keys(state.alarms), ['pause:global']);
+    await silently(() => listeners.onAlarm({ name: 'pause:global' }));
+    await settle();
+    assert.strictEqual(state.storage.isEnabled, true);
+    assert.deepStrictEqual(state.enabledRulesets, ['ads', 'tracking']);
+    assert.deepStrictEqual(state.storage.disabledDomains, undefined, 'a global pause must not touch the site list');
+  });
+
+  await test('Re-enabling by hand or closing the tab cancels the pause', async () => {
+    const { state, listeners, send } = await wakeServiceWorker();
+    await send({ type: 'toggleBlocking', isEnabled: false, domain: 'shop.example', durationMinutes: 5 });
+    await send({ type: 'toggleBlocking', isEnabled: true, domain: 'shop.example' });
+    await send({ type: 'toggleBlocking', scope: 'tab', isEnabled: false, tabId: 5, durationMinutes: 5, reload: false });
+    await silently(() => listeners.onRemoved(5, {}));
+    assert.deepStrictEqual(state.alarms, {});
+    assert.deepStrictEqual(state.storage.pauses, {});
+  });
+
+  await test('Disabling without a duration replaces a running pause', async () => {
+    const { state, send } = await wakeServiceWorker();
+    await send({ type: 'toggleBlocking', isEnabled: false, domain: 'shop.example', durationMinutes: 5 });
+    const response = await send({ type: 'toggleBlocking', isEnabled: false, domain: 'shop.example' });
+    assert.strictEqual(response.pausedUntil, null);
+    assert.deepStrictEqual(state.alarms, {});
+    assert.deepStrictEqual(state.storage.disabledDomains, ['shop.example']);
+  });
+
+  await test('Wake-up ends pauses that expired while the worker slept and restores lost alarms', async () => {
+    const later = Date.now() + 60 * 1000;
+    const { state } = await wakeServiceWorker({
+      storage: {
+        disabledDomains: ['expired.example', 'running.example'],
+        pauses: { 'pause:site:expired.example': Date.now() - 1000, 'pause:site:running.example': later }
+      }
+    });
+    await settle();
+    assert.deepStrictEqual(state.storage.disabledDomains, ['running.example']);
+    assert.deepStrictEqual(state.storage.pauses, { 'pause:site:running.example': later });
+    assert.deepStrictEqual(state.alarms, { 'pause:site:running.example': later });
+    assert.deepStrictEqual(allowRuleIdsFor(state.dynamicRules, 'expired.example'), []);
+  });
+
+  await test('The popup gets the end of every pause that applies to the tab', async () => {
+    const { send } = await wakeServiceWorker({ activeTab: { id: 5, url: 'https://shop.example/cart' } });
+    const { pausedUntil } = await send({ type: 'toggleBlocking', scope: 'tab', isEnabled: false, tabId: 5, durationMinutes: 2, reload: false });
+    const tab = await send({ type: 'getCurrentTab' });
+    assert.deepStrictEqual(tab.pausedUntil, { tab: pausedUntil, site: null, global: null });
+  });
+
+  await test('Invalid durations and foreign alarms are ignored', async () => {
+    const { state, listeners, send } = await wakeServiceWorker();
+    for (const durationMinutes of [0, -5, 'ten', Infinity]) {
+      const response = await send({ type: 'toggleBlocking', isEnabled: false, domain: 'shop.example', durationMinutes });
+      assert.ok(response.error, `${durationMinutes} was accepted`);
+    }
+    await silently(() => listeners.onAlarm({ name: 'cleanup' }));
+    assert.strictEqual(state.storage.disabledDomains, undefined);
+    assert.strictEqual(state.storage.pauses, undefined);
+  });
+
+  console.log('\n🔹 5. Custom rules');
+
+  await test('Added rules are installed as dynamic rules with IDs from the custom range', async () => {
+    const { state, send } = await wakeServiceWorker();
+    const response = await send({ type: 'addCustomRule', rule: '! Meine Regeln\n||ads.example^\n\n@@||ads.example/ok.js' });
+    assert.deepStrictEqual(response, { success: true, added: ['||ads.example^', '@@||ads.example/ok.js'] });
+    assert.deepStrictEqual(state.storage.customRules, ['||ads.example^', '@@||ads.example/ok.js']);
+    const [block, allow] = state.dynamicRules;
+    assert.deepStrictEqual([block.id, allow.id], [2000001, 2000002]);
+    assert.deepStrictEqual(block.action, { type: 'block' });
+    assert.strictEqual(block.condition.urlFilter, '||ads.example^');
+    assert.strictEqual(allow.action.type, 'allow');
+    assert.ok(allow.priority > block.priority, 'exceptions must win over the block rule');
+  });
+
+  await test('Adding a rule twice keeps one copy', async () => {
+    const { state, send } = await wakeServiceWorker();
+    await send({ type: 'addCustomRule', rule: '||ads.example^' });
+    const response = await send({ type: 'addCustomRule', rule: '||ads.example^\n||t.example^' });
+    assert.deepStrictEqual(response.added, ['||t.example^']);
+    assert.deepStrictEqual(state.dynamicRules.map(rule => rule.id), [2000001, 2000002]);
+  });
+
+  await test('One invalid line rejects the whole input with every error and its line', async () => {
+    const { state, send } = await wakeServiceWorker();
+    const response = await send({ type: 'addCustomRule', rule: '||ok.example^\nexample.com##.ad\n||x.example^$popup' });
+    assert.strictEqual(response.error, 'Ungültige Regel');
+    assert.deepStrictEqual(response.errors.map(({ line, rule }) => [line, rule]), [[2, 'example.com##.ad'], [3, '||x.example^$popup']]);
+    assert.deepStrictEqual(state.dynamicRules, []);
+    assert.strictEqual(state.storage.customRules, undefined);
+  });
+
+  await test("Regex rules need Chrome's approval", async () => {
+    const { chrome, state, send } = await wakeServiceWorker();
+    chrome.declarativeNetRequest.isRegexSupported = async () => ({ isSupported: false, reason: 'memoryLimitExceeded' });
+    const response = await send({ type: 'addCustomRule', rule: '/ads[0-9]+\\.js/' });
+    assert.match(response.errors[0].error, /memoryLimitExceeded/);
+    assert.deepStrictEqual(state.dynamicRules, []);
+  });
+
+  await test('Removing a rule uninstalls it and frees its ID', async () => {
+    const { state, send } = await wakeServiceWorker();
+    await send({ type: 'addCustomRule', rule: '||a.example^\n||b.example^' });
+    assert.deepStrictEqual(await send({ type: 'removeCustomRule', rule: ' ||a.example^ ' }), { success: true, removed: '||a.example^' });
+    assert.deepStrictEqual(state.storage.customRules, ['||b.example^']);
+    assert.deepStrictEqual(state.dynamicRules.map(rule => rule.id), [2000002]);
+    await send({ type: 'addCustomRule', rule: '||c.example^' });
+    assert.deepStrictEqual(state.dynamicRules.map(rule => [rule.id, rule.condition.urlFilter]).sort(), [[2000001, '||c.example^'], [2000002, '||b.example^']]);
+    assert.deepStrictEqual(await send({ type: 'removeCustomRule', rule: '||nope.example^' }), { error: 'Regel nicht gefunden' });
+  });
+
+  await test('The list reports IDs, actions and the quota', async () => {
+    const { send } = await wakeServiceWorker();
+    await send({ type: 'addCustomRule', rule: '||a.example^\n@@||a.example/ok^' });
+    const { rules, quota } = await send({ type: 'listCustomRules' });
+    assert.deepStrictEqual(rules, [
+      { rule: '||a.example^', id: 2000001, action: 'block', installed: true },
+      { rule: '@@||a.example/ok^', id: 2000002, action: 'allow', installed: true }
+    ]);
+    assert.strictEqual(quota.used, 2);
+  });
+
+  await test('A full rule limit rolls back the whole addition', async () => {
+    const { chrome, state, send } = await wakeServiceWorker();
+    await send({ type: 'addCustomRule', rule: '||a.example^' });
+    chrome.declarativeNetRequest.MAX_NUMBER_OF_DYNAMIC_RULES = 2;
+    const response = await send({ type: 'addCustomRule', rule: '||b.example^\n||c.example^' });
+    assert.match(response.error, /quota exceeded/);
+    assert.deepStrictEqual(state.storage.customRules, ['||a.example^']);
+    assert.deepStrictEqual(state.dynamicRules.map(rule => rule.id), [2000001]);
+    assert.deepStrictEqual(Object.keys(state.storage.ruleIdAllocations.custom), ['||a.example^']);
+  });
+
+  await test('Custom rules and the allowlist do not touch each other', async () => {
+    const { state, send } = await wakeServiceWorker();
+    await send({ type: 'addCustomRule', rule: '||ads.example^' });
+    await send({ type: 'toggleBlocking', isEnabled: false, domain: 'shop.example' });
+    await send({ type: 'addCustomRule', rule: '||t.example^' });
+    await send({ type: 'toggleBlocking', isEnabled: true, domain: 'shop.example' });
+    assert.deepStrictEqual(state.dynamicRules.map(rule => rule.id), [2000001, 2000002]);
+  });
+
+  await test('An update reinstalls the stored rules and skips lines that no longer parse', async () => {
+    const { state, listeners } = await wakeServiceWorker({ storage: { customRules: ['||ads.example^', '||x.example^$popup'] } });
+    assert.deepStrictEqual(state.dynamicRules, [], 'rules are only rebuilt on install/update');
+    await silently(() => listeners.onInstalled({ reason: 'update' }));
+    assert.deepStrictEqual(state.dynamicRules.map(rule => rule.condition.urlFilter), ['||ads.example^']);
+    assert.deepStrictEqual(state.storage.customRules, ['||ads.example^', '||x.example^$popup']);
+  });
+
+  console.log('\n🔹 6. Global disable');
+
+  await test('Disabling globally turns off the rulesets and removes the custom rules', async () => {
+    const { state, send } = await wakeServiceWorker({ storage: { isEnabled: true, disabledDomains: ['shop.example'] } });
+    await send({ type: 'addCustomRule', rule: '||ads.example^' });
+    await send({ type: 'toggleBlocking', scope: 'global', isEnabled: false });
+    assert.strictEqual(state.storage.isEnabled, false);
+    assert.deepStrictEqual(state.enabledRulesets, []);
+    assert.deepStrictEqual(state.dynamicRules.filter(rule => purposeOfRuleId(rule.id) === 'custom'), []);
+    assert.deepStrictEqual(state.storage.customRules, ['||ads.example^'], 'the rule text is kept for re-enabling');
+    assert.strictEqual(allowRuleIdsFor(state.dynamicRules, 'shop.example').length, 2);
+  });
+
+  await test('Re-enabling restores the rulesets except disabled categories, and the custom rules with their IDs', async () => {
+    const { state, send } = await wakeServiceWorker({ storage: { isEnabled: true, disabledCategories: ['tracking'] } });
+    await send({ type: 'addCustomRule', rule: '||ads.example^\n@@||ads.example/ok.js' });
+    const installed = structuredClone(state.dynamicRules);
+    await send({ type: 'toggleBlocking', scope: 'global', isEnabled: false });
+    await send({ type: 'toggleBlocking', scope: 'global', isEnabled: true });
+    assert.strictEqual(state.storage.isEnabled, true);
+    assert.deepStrictEqual(state.enabledRulesets, ['ads']);
+    assert.deepStrictEqual(state.dynamicRules, installed);
+  });
+
+  await test('Rules added while disabled are stored but only installed on re-enable', async () => {
+    const { state, send } = await wakeServiceWorker({ storage: { isEnabled: true } });
+    await send({ type: 'toggleBlocking', scope: 'global', isEnabled: false });
+    assert.strictEqual((await send({ type: 'addCustomRule', rule: '||ads.example^' })).success, true);
+    assert.deepStrictEqual(state.dynamicRules, []);
+    assert.strictEqual((await send({ type: 'listCustomRules' })).rules[0].installed, false);
+    await send({ type: 'toggleBlocking', scope: 'global', isEnabled: true });
+    assert.deepStrictEqual(state.dynamicRules.map(rule => rule.condition.urlFilter), ['||ads.example^']);
+  });
+
+  await test('The end of a global pause brings the custom rules back', async () => {
+    const { state, listeners, send } = await wakeServiceWorker({ storage: { isEnabled: true } });
+    await send({ type: 'addCustomRule', rule: '||ads.example^' });
+    await send({ type: 'toggleBlocking', scope: 'global', isEnabled: false, durationMinutes: 5 });
+    assert.deepStrictEqual(state.dynamicRules, []);
+    await silently(() => listeners.onAlarm({ name: 'pause:global' }));
+    assert.deepStrictEqual(state.dynamicRules.map(rule => rule.id), [2000001]);
+  });
+
+  await test('Nothing is hidden while blocking is off globally', async () => {
+    const { send } = await wakeServiceWorker({ storage: { isEnabled: true } });
+    await send({ type: 'toggleBlocking', scope: 'global', isEnabled: false });
+    assert.deepStrictEqual(await send({ type: 'getCosmeticFilters', hostname: 'shop.example' }), { disabled: true, generic: [], specific: [] });
+  });
+
+  console.log(`\n📊 ${failures === 0 ? 'All background tests passed' : `${failures} background test(s) failed`}`);
+  // The service worker keeps intervals running, so exit explicitly
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+main();
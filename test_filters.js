@@ -0,0 +1,738 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const { precompileFilterList, parseNetworkFilter, parseCategoryHeader, parseHostsLine, detectFilterFormat, lintFilterList, buildRule, validateRegexFilter, parseCosmeticFilter, compileCosmeticFilters, optimizeFilters, buildMetadata, combineCompiledLists, assignStableRuleIds, hashFilterList, buildTrackingParameterList, buildSourceMap, CONFIG } = require('./filter_precompiler');
+const { diffBuilds, formatDiffReport } = require('./filter_diff');
+const { compileUrlFilter, registrableDomain, createMatcher, evaluateRequest, buildDomainAllowRules } = require('./dnr_emulator');
+const { runCoverage, findRegressions, formatCoverageReport } = require('./coverage_harness');
+const { exportFilters, urlFilterToSafariRegex } = require('./filter_export');
+
+// Same default as precompileFilterList
+const BASE_PRIORITY = 1;
+
+let failures = 0;
+
+/**
+ * Run one named check and report it like test_performance.js does
+ * @param {string} name - Check description
+ * @param {Function} check - Throws an AssertionError when the check fails
+ */
+function test(name, check) {
+  try {
+    check();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}\n   ${error.message}`);
+  }
+}
+
+/**
+ * Parse a filter line and turn it into a rule, failing on rejected filters
+ * @param {string} text - Filter line
+ * @param {number} id - Rule ID
+ * @returns {Object} DNR rule
+ */
+function ruleFor(text, id = 1) {
+  const filter = parseNetworkFilter(text);
+  assert.ok(!filter.error, `${text} was rejected: ${filter.error}`);
+  assert.deepStrictEqual(filter.unsupportedOptions, [], `${text} has unsupported options`);
+  return buildRule(filter, id, BASE_PRIORITY);
+}
+
+/**
+ * Run a build step without its progress output
+ * @param {Function} step - Step that logs through console
+ * @returns {*} Whatever the step returns
+ */
+function silently(step) {
+  const { log, warn, time, timeEnd } = console;
+  console.log = console.warn = console.time = console.timeEnd = () => {};
+  try {
+    return step();
+  } finally {
+    Object.assign(console, { log, warn, time, timeEnd });
+  }
+}
+
+/**
+ * Parse an element hiding line the way precompileFilterList does
+ * @param {string} text - Filter line
+ * @returns {Object} Parsed cosmetic filter or { error }
+ */
+function cosmeticFilterFor(text) {
+  return parseCosmeticFilter(text, /#@?[$?]{0,2}#/.exec(text));
+}
+
+console.log('🧪 Pagy Blocker Filter Tests');
+console.log('============================');
+
+console.log('\n1. Testing parseNetworkFilter / buildRule...');
+
+test('$script,third-party becomes resourceTypes and domainType', () => {
+  const rule = ruleFor('||ads.example.com^$script,third-party');
+  assert.deepStrictEqual(rule.condition.resourceTypes, ['script']);
+  assert.strictEqual(rule.condition.domainType, 'thirdParty');
+  assert.strictEqual(rule.condition.urlFilter, '||ads.example.com^');
+  assert.strictEqual(rule.action.type, 'block');
+});
+
+test('Negated options exclude resource types and turn third-party around', () => {
+  const rule = ruleFor('||ads.example.com^$~image,~third-party');
+  assert.ok(!rule.condition.resourceTypes.includes('image'));
+  assert.ok(rule.condition.resourceTypes.includes('script'));
+  assert.strictEqual(rule.condition.domainType, 'firstParty');
+});
+
+test('$domain= becomes initiatorDomains and excludedInitiatorDomains', () => {
+  const rule = ruleFor('/banner/ad.js$domain=news.example|~shop.news.example');
+  assert.deepStrictEqual(rule.condition.initiatorDomains, ['news.example']);
+  assert.deepStrictEqual(rule.condition.excludedInitiatorDomains, ['shop.news.example']);
+});
+
+test('$match-case makes the urlFilter case-sensitive', () => {
+  assert.strictEqual(ruleFor('/Ads/banner.gif$match-case').condition.isUrlFilterCaseSensitive, true);
+  assert.strictEqual(ruleFor('/Ads/banner.gif').condition.isUrlFilterCaseSensitive, undefined);
+});
+
+test('@@ exceptions become allow rules', () => {
+  const rule = ruleFor('@@||example.com/ads/$image');
+  assert.strictEqual(rule.action.type, 'allow');
+  assert.deepStrictEqual(rule.condition.resourceTypes, ['image']);
+});
+
+test('@@...$document becomes allowAllRequests for frames', () => {
+  const rule = ruleFor('@@||shop.example^$document');
+  assert.strictEqual(rule.action.type, 'allowAllRequests');
+  assert.deepStrictEqual(rule.condition.resourceTypes, ['main_frame', 'sub_frame']);
+});
+
+test('Unknown options are reported instead of being dropped silently', () => {
+  assert.deepStrictEqual(parseNetworkFilter('||ads.example.com^$popup').unsupportedOptions, ['popup']);
+});
+
+test('Filters without pattern or domain scope are rejected', () => {
+  assert.ok(parseNetworkFilter('$script').error);
+  assert.ok(parseNetworkFilter('$image,~image').error);
+  assert.ok(!parseNetworkFilter('$script,domain=example.com').error);
+});
+
+console.log('\n2. Testing element hiding filters...');
+
+test('## and #@# filters keep selector and domains', () => {
+  const filter = cosmeticFilterFor('news.example,~shop.news.example##.ad-banner');
+  assert.strictEqual(filter.selector, '.ad-banner');
+  assert.strictEqual(filter.exception, false);
+  assert.deepStrictEqual(filter.domains, ['news.example']);
+  assert.deepStrictEqual(filter.excludedDomains, ['shop.news.example']);
+  assert.strictEqual(cosmeticFilterFor('news.example#@#.ad-banner').exception, true);
+});
+
+test('Procedural and CSS-injection filters are rejected', () => {
+  assert.ok(cosmeticFilterFor('example.com##.ad:has-text(Sponsored)').error);
+  assert.ok(cosmeticFilterFor('example.com#?#.ad:-abp-has(.label)').error);
+  assert.ok(cosmeticFilterFor('example.com#$#.ad { display: none }').error);
+  assert.ok(cosmeticFilterFor('example.com##.ad { color: red }').error);
+  assert.ok(cosmeticFilterFor('~example.com#@#.ad').error);
+});
+
+test('Generic exceptions are subtracted, site exceptions kept per hostname', () => {
+  const cosmetic = compileCosmeticFilters([
+    '##.ad-banner',
+    '##.sponsored',
+    'news.example##.sponsored',
+    '#@#.sponsored',
+    'shop.example#@#.ad-banner',
+    'blog.example,~old.blog.example##.promo'
+  ].map(cosmeticFilterFor));
+  assert.deepStrictEqual(cosmetic.generic, ['.ad-banner']);
+  assert.deepStrictEqual(cosmetic.specific, { 'blog.example': ['.promo'] });
+  assert.deepStrictEqual(cosmetic.exceptions, { 'shop.example': ['.ad-banner'], 'old.blog.example': ['.promo'] });
+});
+
+console.log('\n3. Testing regex filters...');
+
+test('/.../ filters become regexFilter rules, a trailing $ stays an anchor', () => {
+  const rule = ruleFor('/banner[0-9]+\\.gif/$image');
+  assert.strictEqual(rule.condition.regexFilter, 'banner[0-9]+\\.gif');
+  assert.strictEqual(rule.condition.urlFilter, undefined);
+  assert.deepStrictEqual(rule.condition.resourceTypes, ['image']);
+  assert.strictEqual(ruleFor('/ads$/').condition.regexFilter, 'ads$');
+});
+
+test('Regex filters RE2 cannot compile are rejected', () => {
+  const lookahead = parseNetworkFilter('/ads(?=x)/');
+  assert.ok(lookahead.error);
+  assert.strictEqual(lookahead.regex, true);
+  assert.ok(validateRegexFilter('(a)\\1'));
+  assert.ok(validateRegexFilter('(?<=ads)x'));
+  assert.ok(validateRegexFilter('[a-z'));
+  assert.strictEqual(validateRegexFilter('^https?://[^/]+/ads/'), null);
+});
+
+test('Regex filters over the memory budget are rejected', () => {
+  assert.ok(validateRegexFilter('([a-z0-9]{2,64}\\.){50}ads'));
+  assert.strictEqual(validateRegexFilter('[a-z0-9]{2,8}\\.ads'), null);
+});
+
+console.log('\n4. Testing optimizeFilters...');
+
+test('||domain^ filters with the same options are batched into requestDomains', () => {
+  const filters = ['||tracker-one.com^', '||tracker-two.com^', '||tracker-three.com^$image'].map(parseNetworkFilter);
+  const { entries, redundantFilters } = optimizeFilters(filters);
+  assert.strictEqual(redundantFilters, 0);
+  assert.strictEqual(entries.length, 2);
+  assert.deepStrictEqual(entries[0].requestDomains, ['tracker-one.com', 'tracker-two.com']);
+  assert.strictEqual(entries[1].text, '||tracker-three.com^$image');
+  
+  const rule = buildRule(entries[0], 1, BASE_PRIORITY);
+  assert.deepStrictEqual(rule.condition.requestDomains, ['tracker-one.com', 'tracker-two.com']);
+  assert.strictEqual(rule.condition.urlFilter, undefined);
+});
+
+test('Subdomains covered by their parent domain count as redundant', () => {
+  const filters = ['||cas.criteo.com^', '||criteo.com^', '||doubleclick.net^', '||criteo.com^'].map(parseNetworkFilter);
+  const { entries, redundantFilters } = optimizeFilters(filters);
+  assert.strictEqual(redundantFilters, 2);
+  assert.deepStrictEqual(entries[0].requestDomains, ['criteo.com', 'doubleclick.net']);
+});
+
+test('Exceptions and filters with a path are never merged into a block batch', () => {
+  const filters = ['||ads.example^', '@@||cdn.ads.example^', '||ads.example/banner/'].map(parseNetworkFilter);
+  const { entries, redundantFilters } = optimizeFilters(filters);
+  assert.strictEqual(redundantFilters, 0);
+  assert.deepStrictEqual(entries.map(entry => entry.text), ['||ads.example^', '@@||cdn.ads.example^', '||ads.example/banner/']);
+});
+
+test('Batches are split at MAX_DOMAINS_PER_RULE', () => {
+  const count = CONFIG.MAX_DOMAINS_PER_RULE + 1;
+  const filters = Array.from({ length: count }, (_, index) => parseNetworkFilter(`||tracker${index}.example^`));
+  const { entries } = optimizeFilters(filters);
+  assert.deepStrictEqual(entries.map(entry => entry.requestDomains.length), [CONFIG.MAX_DOMAINS_PER_RULE, 1]);
+});
+
+console.log('\n5. Testing rulesets per list section...');
+
+test('Section headers become ruleset-safe categories', () => {
+  assert.deepStrictEqual(parseCategoryHeader('Video/CTV Advertising'), { id: 'video_ctv_advertising', name: 'Video/CTV Advertising' });
+  assert.deepStrictEqual(parseCategoryHeader('Social Media Ads (Nur reine Ad-Domains)'), { id: 'social_media_ads', name: 'Social Media Ads' });
+});
+
+test('Every section compiles into its own ruleset, filters before the first header go to general', () => {
+  const { rulesets } = silently(() => precompileFilterList([
+    '||first.example^',
+    '! === Analytics ===',
+    '||stats.example^',
+    '! === Social Media Ads ===',
+    '||ads.social.example^',
+    '||pixel.social.example^'
+  ].join('\n')));
+  assert.deepStrictEqual(rulesets.map(ruleset => ruleset.id), ['ruleset_general', 'ruleset_analytics', 'ruleset_social_media_ads']);
+  assert.deepStrictEqual(rulesets.map(ruleset => ruleset.filters), [1, 1, 2]);
+  assert.deepStrictEqual(rulesets[2].rules[0].condition.requestDomains, ['ads.social.example', 'pixel.social.example']);
+});
+
+test('A subdomain is only dropped for a parent domain in the same section', () => {
+  const { rulesets, stats } = silently(() => precompileFilterList([
+    '! === Analytics ===',
+    '||stats.example^',
+    '! === Video ===',
+    '||video.stats.example^'
+  ].join('\n')));
+  assert.strictEqual(stats.redundantFilters, 0);
+  assert.strictEqual(rulesets[1].rules[0].condition.urlFilter, '||video.stats.example^');
+});
+
+console.log('\n6. Testing build metadata...');
+
+test('Metadata counts rules and filters per ruleset and reads the list version', () => {
+  const text = ['! Version: 2024.05.1', '! === Analytics ===', '||stats.example^', '||pixel.example^', '/track.gif', 'example.com##.ad'].join('\n');
+  const compiled = silently(() => precompileFilterList(text));
+  const metadata = buildMetadata(compiled, [{ file: 'list.txt', text, compiled }], [{ id: 'ruleset_analytics', path: 'rulesets/analytics.json' }]);
+  assert.strictEqual(metadata.sources[0].file, 'list.txt');
+  assert.strictEqual(metadata.sources[0].format, 'abp');
+  assert.strictEqual(metadata.sources[0].version, '2024.05.1');
+  assert.deepStrictEqual(metadata.totals, { rules: 2, filters: 3, cosmeticRules: 1 });
+  assert.deepStrictEqual(metadata.rulesets, [
+    { id: 'ruleset_analytics', category: 'analytics', name: 'Analytics', path: 'rulesets/analytics.json', rules: 2, filters: 3 }
+  ]);
+});
+
+test('Lists without a version header are identified by their content hash', () => {
+  const text = '||stats.example^';
+  const compiled = silently(() => precompileFilterList(text));
+  const metadata = buildMetadata(compiled, [{ file: 'list.txt', text, compiled }], []);
+  assert.match(metadata.sources[0].version, /^sha256:[0-9a-f]{12}$/);
+});
+
+console.log('\n7. Testing stable rule IDs and the compile cache...');
+
+test('Lists with the same section share one ruleset, filters stay apart per list', () => {
+  const compile = text => silently(() => precompileFilterList(text));
+  const combined = combineCompiledLists([
+    { file: 'a.txt', compiled: compile('! === Analytics ===\n/track.gif') },
+    { file: 'b.txt', compiled: compile('! === Analytics ===\n/track.gif\n! === Video ===\n/preroll.mp4') }
+  ]);
+  assert.deepStrictEqual(combined.rulesets.map(ruleset => ruleset.id), ['ruleset_analytics', 'ruleset_video']);
+  assert.strictEqual(combined.rulesets[0].rules.length, 2);
+  assert.deepStrictEqual(combined.rulesets[0].ruleKeys.map(key => key.split('|')[0]), ['a.txt', 'b.txt']);
+  assert.strictEqual(combined.stats.processedRules, 3);
+});
+
+test('The regex rule limit applies to the combined ruleset, not to each list', () => {
+  const { MAX_REGEX_RULES } = CONFIG;
+  CONFIG.MAX_REGEX_RULES = 2;
+  try {
+    const compile = text => silently(() => precompileFilterList(text));
+    const combined = silently(() => combineCompiledLists([
+      { file: 'a.txt', compiled: compile('! === Ads ===\n/ads[0-9]+\\.js/\n/banner[0-9]+\\.gif/') },
+      { file: 'b.txt', compiled: compile('! === Ads ===\n/promo[0-9]+\\.js/\n||ads.example^\n! === Video ===\n/preroll[0-9]+\\.mp4/') }
+    ]));
+    const [ads, video] = combined.rulesets;
+    assert.strictEqual(ads.rules.filter(rule => rule.condition.regexFilter).length, 2);
+    assert.strictEqual(ads.rules.length, 3);
+    assert.strictEqual(video.rules.length, 1);
+    assert.deepStrictEqual(combined.stats.rejectedRegexFilters.map(({ file, line, filter }) => [file, line, filter]), [['b.txt', 2, '/promo[0-9]+\\.js/']]);
+    assert.strictEqual(combined.stats.processedRules, 4);
+  } finally {
+    CONFIG.MAX_REGEX_RULES = MAX_REGEX_RULES;
+  }
+});
+
+test('Rule IDs stay stable across builds and new rules get fresh IDs', () => {
+  const build = keys => [{ id: 'ads', rules: keys.map(() => ({})), ruleKeys: keys }];
+  
+  const first = build(['||a.com^', '||b.com^', '||c.com^']);
+  const registry = assignStableRuleIds(first);
+  assert.deepStrictEqual(first[0].rules.map(rule => rule.id), [1, 2, 3]);
+  assert.strictEqual(registry.nextId, 4);
+  
+  // b.com was removed, d.com is new and must not reuse the ID of b.com
+  const second = build(['||c.com^', '||a.com^', '||d.com^']);
+  const nextRegistry = assignStableRuleIds(second, registry);
+  assert.deepStrictEqual(second[0].rules.map(rule => rule.id), [3, 1, 4]);
+  assert.strictEqual(nextRegistry.nextId, 5);
+});
+
+test('Identical filters in one ruleset keep distinct IDs', () => {
+  const rulesets = [{ id: 'ads', rules: [{}, {}], ruleKeys: ['||a.com^', '||a.com^'] }];
+  const registry = assignStableRuleIds(rulesets);
+  assert.deepStrictEqual(rulesets[0].rules.map(rule => rule.id), [1, 2]);
+  assert.deepStrictEqual(Object.keys(registry.ids), ['ads|||a.com^', 'ads|||a.com^#2']);
+});
+
+test('The cache key changes with list content and compile options', () => {
+  const options = { startId: 1, priority: 1 };
+  const key = hashFilterList('||a.com^', options);
+  assert.strictEqual(hashFilterList('||a.com^', { ...options }), key);
+  assert.notStrictEqual(hashFilterList('||b.com^', options), key);
+  assert.notStrictEqual(hashFilterList('||a.com^', { ...options, optimize: false }), key);
+});
+
+console.log('\n8. Testing hosts files and domain lists...');
+
+test('Hosts lines block their hostnames, local and redirect entries are ignored', () => {
+  assert.deepStrictEqual(parseHostsLine('0.0.0.0 ads.example.com tracker.example.net # ads', 'hosts'), ['ads.example.com', 'tracker.example.net']);
+  assert.strictEqual(parseHostsLine('127.0.0.1 localhost', 'hosts'), null);
+  assert.strictEqual(parseHostsLine('192.168.1.10 printer.example.com', 'hosts'), null);
+  assert.deepStrictEqual(parseHostsLine('*.Ads.Example.com', 'domains'), ['ads.example.com']);
+  assert.strictEqual(parseHostsLine('ads.example.com extra', 'domains'), null);
+});
+
+test('The list format is detected from its lines', () => {
+  assert.strictEqual(detectFilterFormat('# hosts\n0.0.0.0 a.example\n0.0.0.0 b.example\n127.0.0.1 localhost'), 'hosts');
+  assert.strictEqual(detectFilterFormat('a.example\nb.example\n# comment\nc.example'), 'domains');
+  assert.strictEqual(detectFilterFormat('[Adblock Plus 2.0]\na.example\nb.example'), 'abp');
+  assert.strictEqual(detectFilterFormat('||a.example^\n/banner/ad.js\nb.example'), 'abp');
+});
+
+test('Hosts entries compile into the same batched rules as ||domain^ filters', () => {
+  const { rules } = silently(() => precompileFilterList('0.0.0.0 ads.example.com\n0.0.0.0 tracker.example.net\n0.0.0.0 cdn.ads.example.com'));
+  assert.strictEqual(rules.length, 1);
+  assert.deepStrictEqual(rules[0].condition.requestDomains, ['ads.example.com', 'tracker.example.net']);
+});
+
+console.log('\n9. Testing build diffs...');
+
+test('Diffs report added, removed and modified filters per domain', () => {
+  const compile = text => silently(() => precompileFilterList(text)).rulesets;
+  const before = compile('! === Ads ===\n||a.example^\n||b.example^\n||e.example^\n/banner/ad.js\n||c.example^$script');
+  const after = compile('! === Ads ===\n/banner/ad.js\n||a.example^\n||d.example^\n||c.example^$image\n! === Analytics ===\n||b.example^');
+  const diff = diffBuilds(before, after);
+  assert.deepStrictEqual(diff.summary, { added: 1, removed: 1, modified: 2, unchanged: 2 });
+  assert.strictEqual(diff.removed[0].target, 'e.example');
+  assert.strictEqual(diff.added[0].target, 'd.example');
+  assert.deepStrictEqual(diff.modified.map(entry => [entry.target, entry.changes]), [['c.example', ['resourceTypes']], ['b.example', ['category']]]);
+});
+
+console.log('\n10. Testing $removeparam...');
+
+test('$removeparam becomes a redirect that removes the query parameter', () => {
+  const rule = ruleFor('||shop.example^$removeparam=utm_source');
+  assert.deepStrictEqual(rule.action, { type: 'redirect', redirect: { transform: { queryTransform: { removeParams: ['utm_source'] } } } });
+});
+
+test('Regex, inverted and exception $removeparam values are not translated', () => {
+  assert.deepStrictEqual(parseNetworkFilter('||shop.example^$removeparam=/^utm_/').unsupportedOptions, ['removeparam']);
+  assert.deepStrictEqual(parseNetworkFilter('||shop.example^$removeparam=~id').unsupportedOptions, ['removeparam']);
+  assert.deepStrictEqual(parseNetworkFilter('@@||shop.example^$removeparam=utm_source').unsupportedOptions, ['removeparam']);
+});
+
+test('$removeparam filters with the same condition are merged into one rule', () => {
+  const filters = ['||news.example^$removeparam=utm_source', '||shop.example^$removeparam=ref', '||news.example^$removeparam=utm_medium', '||news.example^$removeparam=utm_source'].map(parseNetworkFilter);
+  const { entries } = optimizeFilters(filters);
+  assert.deepStrictEqual(entries.map(entry => entry.redirect.transform.queryTransform.removeParams), [['utm_source', 'utm_medium'], ['ref']]);
+});
+
+test('The built-in tracking parameters compile into one ruleset of their own, one rule per parameter', () => {
+  const { rulesets } = silently(() => precompileFilterList(buildTrackingParameterList()));
+  assert.deepStrictEqual(rulesets.map(ruleset => ruleset.id), ['ruleset_tracking_parameters']);
+  const fbclid = rulesets[0].rules.find(rule => rule.condition.urlFilter === 'fbclid=');
+  assert.deepStrictEqual(fbclid.action.redirect.transform.queryTransform.removeParams, ['fbclid']);
+  assert.ok(rulesets[0].rules.every(rule => rule.condition.urlFilter.endsWith('=')), 'every rule is scoped to URLs carrying its parameter');
+});
+
+console.log('\n11. Testing $redirect surrogates...');
+
+test('Surrogate redirects outrank plain blocking by one, exceptions by two', () => {
+  const block = ruleFor('||example.com/analytics.js');
+  const surrogate = ruleFor('||example.com/analytics.js$script,redirect=noop.js');
+  const allow = ruleFor('@@||example.com/analytics.js');
+  assert.strictEqual(block.priority, BASE_PRIORITY);
+  assert.strictEqual(surrogate.priority, BASE_PRIORITY + 1);
+  assert.strictEqual(allow.priority, BASE_PRIORITY + 2);
+  assert.deepStrictEqual(surrogate.action, { type: 'redirect', redirect: { extensionPath: '/surrogates/noop.js' } });
+});
+
+test('A surrogate only applies to the request types it was written for', () => {
+  assert.deepStrictEqual(ruleFor('||ads.example^$redirect=1x1.gif').condition.resourceTypes, ['image']);
+  assert.deepStrictEqual(ruleFor('||ads.example^$redirect-rule=noop.txt:100').condition.resourceTypes, ['xmlhttprequest', 'other']);
+  assert.ok(parseNetworkFilter('||ads.example^$script,redirect=1x1.gif').error);
+});
+
+test('Unknown redirect resources are not translated', () => {
+  assert.deepStrictEqual(parseNetworkFilter('||ads.example^$redirect=fingerprint2.js').unsupportedOptions, ['redirect']);
+});
+
+test('Surrogate redirects without pattern or $domain= are rejected', () => {
+  assert.ok(parseNetworkFilter('$redirect=noop.js').error);
+  assert.ok(!parseNetworkFilter('$script,redirect=noop.js,domain=example.com').error);
+});
+
+test('$removeparam needs a value and a pattern or $domain=', () => {
+  assert.ok(parseNetworkFilter('$removeparam').error);
+  assert.ok(parseNetworkFilter('||shop.example^$removeparam').error);
+  assert.ok(parseNetworkFilter('$removeparam=utm_source').error);
+  assert.ok(!parseNetworkFilter('$removeparam=utm_source,domain=shop.example').error);
+  assert.ok(!parseNetworkFilter('utm_source=$removeparam=utm_source').error);
+});
+
+console.log('\n12. Testing $csp and $removeheader...');
+
+test('$csp appends a Content-Security-Policy header on documents', () => {
+  const rule = ruleFor("||news.example^$csp=script-src 'self'");
+  assert.deepStrictEqual(rule.action, {
+    type: 'modifyHeaders',
+    responseHeaders: [{ header: 'content-security-policy', operation: 'append', value: "script-src 'self'" }]
+  });
+  assert.deepStrictEqual(rule.condition.resourceTypes, ['main_frame', 'sub_frame']);
+});
+
+test('$removeheader only removes headers that cannot weaken the site', () => {
+  assert.deepStrictEqual(ruleFor('||tracker.example^$removeheader=request:referer').action.requestHeaders, [{ header: 'referer', operation: 'remove' }]);
+  assert.deepStrictEqual(ruleFor('||tracker.example^$removeheader=set-cookie').action.responseHeaders, [{ header: 'set-cookie', operation: 'remove' }]);
+  assert.deepStrictEqual(parseNetworkFilter('||tracker.example^$removeheader=strict-transport-security').unsupportedOptions, ['removeheader']);
+});
+
+test('Header filters cannot be exceptions or redirects', () => {
+  assert.deepStrictEqual(parseNetworkFilter("@@||news.example^$csp=script-src 'self'").unsupportedOptions, ['csp']);
+  assert.ok(parseNetworkFilter('||tracker.example^$script,redirect=noop.js,removeheader=set-cookie').error);
+});
+
+console.log('\n13. Testing --lint diagnostics...');
+
+test('Lint reports problems with their line numbers', () => {
+  const { diagnostics, summary } = lintFilterList([
+    '! Title: Test',
+    '||ads.example^',
+    '||ads.example^',
+    '||ads.example^$popup',
+    '||ads.example^$frobnicate',
+    '/ads(?=x)/',
+    '||cdn.ads.example^',
+    '||cdn.ads.example^$image',
+    'example.com##.ad:has-text(Sponsored)'
+  ].join('\n'));
+  assert.deepStrictEqual(diagnostics.map(diagnostic => [diagnostic.line, diagnostic.code]), [
+    [3, 'duplicate'],
+    [4, 'unsupported-option'],
+    [5, 'unknown-option'],
+    [6, 'unsupported-regex'],
+    [7, 'shadowed'],
+    [9, 'unsupported-syntax']
+  ]);
+  assert.deepStrictEqual(summary, { errors: 3, warnings: 3 });
+});
+
+test('Lint checks hosts files entry by entry', () => {
+  const { format, diagnostics } = lintFilterList('0.0.0.0 ads.example\n0.0.0.0 cdn.ads.example\n127.0.0.1 localhost\n0.0.0.0 tracker.example');
+  assert.strictEqual(format, 'hosts');
+  assert.deepStrictEqual(diagnostics.map(diagnostic => [diagnostic.line, diagnostic.code]), [[2, 'shadowed'], [3, 'unsupported-syntax']]);
+});
+
+test('Lint only reports subdomains shadowed within the same section, like the optimizer', () => {
+  const text = [
+    '! === Ads ===',
+    '||ads.example^',
+    '||cdn.ads.example^',
+    '! === Analytics ===',
+    '||stats.ads.example^'
+  ].join('\n');
+  const { diagnostics } = lintFilterList(text);
+  assert.deepStrictEqual(diagnostics.map(diagnostic => [diagnostic.line, diagnostic.code]), [[3, 'shadowed']]);
+  
+  const { rulesets, stats } = silently(() => precompileFilterList(text));
+  assert.strictEqual(stats.redundantFilters, 1);
+  assert.deepStrictEqual(rulesets.map(ruleset => [ruleset.id, ruleset.rules.map(rule => rule.condition.urlFilter)]), [
+    ['ruleset_ads', ['||ads.example^']],
+    ['ruleset_analytics', ['||stats.ads.example^']]
+  ]);
+});
+
+console.log('\n14. Testing --watch diff reports...');
+
+test('Watch reports list a limited number of entries per section', () => {
+  const compile = text => silently(() => precompileFilterList(text)).rulesets;
+  const diff = diffBuilds(compile('/banner/ad.js'), compile('/banner/ad.js\n/a.js\n/b.js\n/c.js'));
+  const lines = formatDiffReport(diff, { from: 'previous build', to: 'current build' }, 2).split('\n');
+  assert.strictEqual(lines[0], '📋 Filter diff: previous build → current build');
+  assert.deepStrictEqual(lines.slice(-3), ['  + block /a.js [General] line 2', '  + block /b.js [General] line 3', '  ... and 1 more']);
+});
+
+console.log('\n15. Testing list header metadata...');
+
+test('List headers are carried into the build metadata', () => {
+  const text = [
+    '[Adblock Plus 2.0]',
+    '! Title: Example List',
+    '! Version: 202405011200',
+    '! Expires: 4 days (update frequency)',
+    '! Homepage: https://lists.example/',
+    '! Title: Quoted later, ignored',
+    '||ads.example^'
+  ].join('\n');
+  const compiled = silently(() => precompileFilterList(text));
+  const [source] = buildMetadata(compiled, [{ file: 'filter_lists/example.txt', text, compiled }], []).sources;
+  assert.strictEqual(source.title, 'Example List');
+  assert.strictEqual(source.version, '202405011200');
+  assert.strictEqual(source.expires, '4 days (update frequency)');
+  assert.strictEqual(source.expiresHours, 96);
+  assert.strictEqual(source.homepage, 'https://lists.example/');
+  assert.strictEqual(source.license, null);
+  assert.strictEqual(compiled.stats.processedRules, 1);
+});
+
+test('Hosts files use # headers, lists without a title fall back to the file name', () => {
+  const text = '# Title: Example Hosts\n# Expires: 12 hours\n0.0.0.0 ads.example';
+  const compiled = silently(() => precompileFilterList(text));
+  assert.deepStrictEqual(compiled.list, { title: 'Example Hosts', expires: '12 hours', expiresHours: 12 });
+  
+  const untitled = silently(() => precompileFilterList('||ads.example^'));
+  assert.strictEqual(buildMetadata(untitled, [{ file: 'filter_lists/plain.txt', text: '||ads.example^', compiled: untitled }], []).sources[0].title, 'plain.txt');
+});
+
+console.log('\n16. Testing the declarativeNetRequest emulator...');
+
+test('urlFilter anchors and separators match like Chrome', () => {
+  const domain = compileUrlFilter('||ads.example^', false);
+  assert.ok(domain.test('https://ads.example/banner.js'));
+  assert.ok(domain.test('https://cdn.ads.example'));
+  assert.ok(!domain.test('https://bads.example/'));
+  assert.ok(!domain.test('https://ads.example.org/'));
+  assert.ok(compileUrlFilter('|https://*/ad.js|', false).test('https://cdn.example/ad.js'));
+  assert.ok(!compileUrlFilter('|https://*/ad.js|', false).test('https://cdn.example/ad.js?v=1'));
+  assert.ok(!compileUrlFilter('/Ads/', true).test('https://cdn.example/ads/'));
+});
+
+test('Third-party checks compare registrable domains', () => {
+  const matcher = createMatcher([{ id: 'ads', rules: [ruleFor('||static.example.co.uk^$third-party')] }]);
+  const url = 'https://static.example.co.uk/ad.js';
+  assert.strictEqual(evaluateRequest(matcher, { url, initiator: 'https://www.example.co.uk/', type: 'script' }).action, null);
+  assert.strictEqual(evaluateRequest(matcher, { url, initiator: 'https://other.co.uk/', type: 'script' }).blocked, true);
+});
+
+test('Allow rules win over block rules, blocking applies elsewhere', () => {
+  const rules = [
+    ruleFor('||ads.example.com^', 1),
+    ruleFor('@@||ads.example.com/consent.js', 2)
+  ];
+  const matcher = createMatcher([{ id: 'ads', rules }]);
+  const request = { initiator: 'https://news.example.org/', type: 'script' };
+  
+  const blocked = evaluateRequest(matcher, { ...request, url: 'https://ads.example.com/banner.js' });
+  assert.strictEqual(blocked.blocked, true);
+  assert.strictEqual(blocked.rule.id, 1);
+  
+  const allowed = evaluateRequest(matcher, { ...request, url: 'https://ads.example.com/consent.js' });
+  assert.strictEqual(allowed.action, 'allow');
+  assert.strictEqual(allowed.rule.id, 2);
+  
+  const untouched = evaluateRequest(matcher, { ...request, url: 'https://cdn.example.org/app.js' });
+  assert.strictEqual(untouched.action, null);
+});
+
+test('Surrogates replace blocked scripts, $document exceptions cover the whole page', () => {
+  const matcher = createMatcher([{ id: 'ads', rules: [
+    ruleFor('||tracker.example^', 1),
+    ruleFor('||tracker.example/analytics.js$script,redirect=noop.js', 2),
+    ruleFor('@@||shop.example^$document', 3)
+  ] }]);
+  
+  const surrogate = evaluateRequest(matcher, { url: 'https://tracker.example/analytics.js', initiator: 'https://news.example/', type: 'script' });
+  assert.strictEqual(surrogate.action, 'redirect');
+  assert.strictEqual(surrogate.redirectUrl, 'chrome-extension://pagy-blocker/surrogates/noop.js');
+  
+  const onShop = evaluateRequest(matcher, { url: 'https://tracker.example/pixel.gif', initiator: 'https://shop.example/', type: 'image' });
+  assert.strictEqual(onShop.action, 'allowAllRequests');
+});
+
+test('$removeparam only redirects URLs that carry the parameter, header rules are collected', () => {
+  const matcher = createMatcher([{ id: 'tracking', rules: [
+    ruleFor('utm_source=$removeparam=utm_source', 1),
+    ruleFor('||news.example^$removeheader=set-cookie', 2)
+  ] }]);
+  
+  const tracked = evaluateRequest(matcher, { url: 'https://news.example/article?utm_source=feed&page=2' });
+  assert.strictEqual(tracked.redirectUrl, 'https://news.example/article?page=2');
+  assert.deepStrictEqual(tracked.modifyHeaders, []);
+  
+  const clean = evaluateRequest(matcher, { url: 'https://news.example/article?page=2' });
+  assert.strictEqual(clean.action, null);
+  assert.deepStrictEqual(clean.modifyHeaders.map(entry => entry.ruleId), [2]);
+});
+
+test('Disabling a domain allows its own and its embedded requests', () => {
+  const matcher = createMatcher([
+    { id: '_session', rules: buildDomainAllowRules('shop.example') },
+    { id: 'ads', rules: [ruleFor('||ads.example^')] }
+  ]);
+  assert.strictEqual(evaluateRequest(matcher, { url: 'https://ads.example/ad.js', initiator: 'https://shop.example/', type: 'script' }).action, 'allow');
+  assert.strictEqual(evaluateRequest(matcher, { url: 'https://ads.example/ad.js', initiator: 'https://news.example/', type: 'script' }).blocked, true);
+});
+
+console.log('\n17. Testing the coverage harness...');
+
+test('Registrable domains know multi-label public suffixes', () => {
+  assert.strictEqual(registrableDomain('www.shop.example.co.uk'), 'example.co.uk');
+  assert.strictEqual(registrableDomain('cdn.news.example'), 'news.example');
+});
+
+test('Coverage counts blocked, missed and wrongly blocked requests per category', () => {
+  const fixture = {
+    file: 'fixtures/requests/test.json',
+    page: 'https://news.example/',
+    requests: [
+      { url: 'https://ads.example/ad.js', type: 'script', expected: 'block', category: 'advertising' },
+      { url: 'https://tracker.example/analytics.js', type: 'script', expected: 'block', category: 'analytics' },
+      { url: 'https://ads.example/consent.js', type: 'script', expected: 'allow', category: 'advertising' },
+      { url: 'https://news.example/app.js', type: 'script', expected: 'allow' },
+      { url: 'https://cdn.widgets.example/embed.js', type: 'script', expected: 'block' }
+    ]
+  };
+  const rules = [ruleFor('||ads.example^', 1), ruleFor('||tracker.example/analytics.js$redirect=noop.js', 2)];
+  const report = runCoverage([fixture], [{ id: 'ads', rules }]);
+  
+  assert.deepStrictEqual(report.categories.advertising, { total: 2, expectedBlocked: 1, truePositives: 1, falseNegatives: 0, falsePositives: 1, coverage: 100 });
+  assert.strictEqual(report.categories.analytics.coverage, 100);
+  assert.strictEqual(report.categories['first-party'].coverage, null);
+  assert.strictEqual(report.categories['third-party'].coverage, 0);
+  assert.strictEqual(report.totals.coverage, 66.7);
+  assert.deepStrictEqual(report.falsePositives.map(outcome => outcome.url), ['https://ads.example/consent.js']);
+  assert.deepStrictEqual(report.falseNegatives.map(outcome => outcome.url), ['https://cdn.widgets.example/embed.js']);
+});
+
+test('The coverage report flags missed requests as problems, not as passes', () => {
+  const fixture = { file: 'test.json', page: 'https://news.example/', requests: [
+    { url: 'https://ads.example/consent.js', type: 'script', expected: 'allow', category: 'advertising' },
+    { url: 'https://cdn.widgets.example/embed.js', type: 'script', expected: 'block', category: 'widgets' }
+  ] };
+  const lines = formatCoverageReport(runCoverage([fixture], [{ id: 'ads', rules: [ruleFor('||ads.example^', 1)] }])).split('\n');
+  assert.ok(lines.includes('  🚫 https://ads.example/consent.js [advertising] block by rule 1 in ads'), lines.join('\n'));
+  assert.ok(lines.includes('  ⚠️ https://cdn.widgets.example/embed.js [widgets] no rule matches'), lines.join('\n'));
+  assert.ok(!lines.some(line => line.includes('✅')));
+});
+
+test('Lower coverage, new false positives and lost categories are regressions', () => {
+  const baseline = { categories: {
+    advertising: { coverage: 90, falsePositives: 0 },
+    analytics: { coverage: 50, falsePositives: 1 },
+    widgets: { coverage: null, falsePositives: 0 }
+  } };
+  const report = { categories: {
+    advertising: { coverage: 85, falsePositives: 1 },
+    analytics: { coverage: 60, falsePositives: 1 }
+  } };
+  assert.deepStrictEqual(findRegressions(report, baseline), [
+    'advertising: coverage 90% → 85%',
+    'advertising: false positives 0 → 1',
+    'widgets: no longer covered by any fixture'
+  ]);
+});
+
+console.log('\n18. Testing hosts, uBlock and Safari exports...');
+
+test('Exports keep what each format can express and count the rest', () => {
+  const compiled = silently(() => precompileFilterList([
+    '! === Ads ===',
+    '||ads.example^',
+    '||cdn.ads.example^',
+    '||ads.example^$third-party',
+    '||partner.example^',
+    '@@||partner.example^',
+    '! === Tracking ===',
+    '||tracker.example/pixel.gif',
+    'utm_source=$removeparam=utm_source',
+    'news.example##.sponsored'
+  ].join('\n')));
+  const model = { filters: compiled.networkFilters, cosmeticFilters: compiled.cosmeticFilters, cosmetic: compiled.cosmetic };
+  const info = { version: 'test', sources: ['list.txt'] };
+  
+  const hosts = exportFilters('hosts', model, info);
+  assert.deepStrictEqual(hosts.content.split('\n').filter(line => line.startsWith('0.0.0.0')), ['0.0.0.0 ads.example', '0.0.0.0 cdn.ads.example']);
+  assert.deepStrictEqual([hosts.exported, hosts.skipped], [2, 4]);
+  
+  const ublock = exportFilters('ublock', model, info);
+  assert.ok(ublock.content.startsWith('[Adblock Plus 2.0]\n! Title: Pagy Blocker\n! Version: test'));
+  assert.ok(ublock.content.includes('! === Tracking ===\n||tracker.example/pixel.gif\nutm_source=$removeparam=utm_source'));
+  assert.ok(ublock.content.endsWith('! Element hiding\nnews.example##.sponsored\n'));
+  
+  const safari = exportFilters('safari', model, info);
+  const actions = JSON.parse(safari.content).map(rule => rule.action.type);
+  assert.deepStrictEqual(actions, ['block', 'block', 'block', 'block', 'block', 'css-display-none', 'ignore-previous-rules']);
+  assert.strictEqual(safari.skipped, 1);
+});
+
+test('urlFilters become Safari url-filter regexes', () => {
+  assert.strictEqual(urlFilterToSafariRegex('||ads.example^'), '^[^:]+://+([^:/]+\\.)?ads\\.example([/:?&=].*)?$');
+  assert.strictEqual(urlFilterToSafariRegex('|https://cdn.example/*.js|'), '^https://cdn\\.example/.*\\.js$');
+  assert.strictEqual(urlFilterToSafariRegex(''), '.*');
+});
+
+console.log('\n19. Testing the rule source map...');
+
+test('Every rule ID maps back to its list file, lines and original filters', () => {
+  const compile = text => silently(() => precompileFilterList(text));
+  const combined = combineCompiledLists([
+    { file: 'filter_lists/a.txt', compiled: compile('! === Ads ===\n||one.example^\n! comment\n||two.example^') },
+    { file: 'filter_lists/b.txt', compiled: compile('! === Ads ===\n@@||two.example/consent.js') }
+  ]);
+  assignStableRuleIds(combined.rulesets);
+  
+  assert.deepStrictEqual(buildSourceMap(combined.rulesets).rules, {
+    1: { action: 'block', ruleset: 'ruleset_ads', category: 'Ads', file: 'filter_lists/a.txt', sources: [{ line: 2, filter: '||one.example^' }, { line: 4, filter: '||two.example^' }] },
+    2: { action: 'allow', ruleset: 'ruleset_ads', category: 'Ads', file: 'filter_lists/b.txt', sources: [{ line: 2, filter: '@@||two.example/consent.js' }] }
+  });
+});
+
+console.log(`\n📊 ${failures === 0 ? 'All filter tests passed' : `${failures} filter test(s) failed`}`);
+process.exitCode = failures === 0 ? 0 : 1;
@@ -7,7 +7,7 @@ console.log('🧪 Pagy Blocker Performance & Bug Fix Tests');
 console.log('============================================');
 
 console.log('\n1. Testing filter list validation...');
-const filterPath = path.join(__dirname, 'filter_lists', 'filter.txt');
+const filterPath = path.join(__dirname, 'filter_lists', 'filter_300_balanced.txt');
 const filterContent = fs.readFileSync(filterPath, 'utf8');
 const lines = filterContent.split(/\r?\n/);
 const validRules = lines.filter(line => {
@@ -74,24 +74,29 @@ if (backgroundContent.includes('WASM_THRESHOLD = 3000')) {
 }
 
 console.log('\n5. Testing rule_parser.js ultra-simplification...');
-const ruleParserContent = fs.readFileSync(path.join(__dirname, 'js/rule_parser.js'), 'utf8');
-
-if (!ruleParserContent.includes('FastValidationCache') && !ruleParserContent.includes('cachedValidateRule')) {
-  console.log('✅ Validation cache complexity eliminated');
-} else {
-  console.log('❌ Validation cache still present');
-}
-
-if (ruleParserContent.includes('Simple rule updating function')) {
-  console.log('✅ Rule updating process simplified');
-} else {
-  console.log('❌ Rule updating still complex');
-}
-
-if (ruleParserContent.includes('BATCH_SIZE = 1000')) {
-  console.log('✅ Fixed batch size for reliability');
+const ruleParserPath = path.join(__dirname, 'js', 'rule_parser.js');
+if (fs.existsSync(ruleParserPath)) {
+  const ruleParserContent = fs.readFileSync(ruleParserPath, 'utf8');
+  
+  if (!ruleParserContent.includes('FastValidationCache') && !ruleParserContent.includes('cachedValidateRule')) {
+    console.log('✅ Validation cache complexity eliminated');
+  } else {
+    console.log('❌ Validation cache still present');
+  }
+  
+  if (ruleParserContent.includes('Simple rule updating function')) {
+    console.log('✅ Rule updating process simplified');
+  } else {
+    console.log('❌ Rule updating still complex');
+  }
+  
+  if (ruleParserContent.includes('BATCH_SIZE = 1000')) {
+    console.log('✅ Fixed batch size for reliability');
+  } else {
+    console.log('❌ Batch size not simplified');
+  }
 } else {
-  console.log('❌ Batch size not simplified');
+  console.log('❌ rule_parser.js module missing');
 }
 
 console.log('\n6. Testing ultra-simplification achievements...');